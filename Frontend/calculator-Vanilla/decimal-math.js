@@ -0,0 +1,454 @@
+// ========================================
+// DECIMAL MATH
+// ========================================
+// Exact decimal arithmetic, so 0.1 + 0.2 is 0.3 and not 0.30000000000000004.
+// A number is stored as a whole number (BigInt) times a power of ten:
+//
+//   12.5 -> { coefficient: 125n, exponent: -1 }
+//
+// Adding, subtracting and multiplying are always exact. Only dividing can
+// need more digits than we have, so it rounds to `precision` significant
+// digits with one of the ROUNDING modes.
+//
+//   const a = DecimalMath.parse('1');
+//   const b = DecimalMath.parse('3');
+//   DecimalMath.toString(DecimalMath.divide(a, b, { precision: 5 })); // '0.33333'
+const DecimalMath = (() => {
+  // Ways to get rid of the digits that don't fit, e.g. for 2.5 and -2.5 at 1 digit
+  const ROUNDING = {
+    HALF_UP: 'half-up',       // 3, -3 (like at school)
+    HALF_DOWN: 'half-down',   // 2, -2
+    HALF_EVEN: 'half-even',   // 2, -2 (banker's rounding, 3.5 -> 4)
+    UP: 'up',                 // 3, -3 (away from zero)
+    DOWN: 'down',             // 2, -2 (towards zero, i.e. cut off)
+    CEILING: 'ceiling',       // 3, -2
+    FLOOR: 'floor',           // 2, -3
+  };
+
+  const DEFAULT_PRECISION = 32;
+  const DEFAULT_ROUNDING = ROUNDING.HALF_UP;
+
+  // Results past 10^MAX_EXPONENT are an overflow, below 10^-MAX_EXPONENT they
+  // become 0. Keeps the BigInts from growing until the browser hangs.
+  const MAX_EXPONENT = 99999;
+
+  // n! is worked out on the main thread, and 30000! already takes most of a
+  // second, so bigger factorials are an overflow too
+  const MAX_FACTORIAL = 10000;
+
+  const ZERO = { coefficient: 0n, exponent: 0 };
+  const ONE = { coefficient: 1n, exponent: 0 };
+
+  // ========================================
+  // STEP 1: CREATE & NORMALIZE
+  // ========================================
+  // Strips trailing zeros (1200 -> 12 * 10^2), so every number has one form
+  function create(coefficient, exponent) {
+    if (coefficient === 0n) {
+      return ZERO;
+    }
+
+    while (coefficient % 10n === 0n) {
+      coefficient /= 10n;
+      exponent++;
+    }
+
+    const adjusted = digitCount(coefficient) - 1 + exponent;
+    if (adjusted > MAX_EXPONENT) {
+      throw new RangeError('Overflow');
+    }
+    if (adjusted < -MAX_EXPONENT) {
+      return ZERO;
+    }
+
+    return { coefficient, exponent };
+  }
+
+  // '12.5', '-3', '.5', '5.' and '1.5e+25' (what toString() gives for big numbers)
+  function parse(text) {
+    const match = String(text).trim().match(/^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i);
+
+    // VALIDATION: Must have at least one digit
+    if (!match || (match[2] === '' && (match[3] || '') === '')) {
+      throw new SyntaxError(`Not a number: ${text}`);
+    }
+
+    const [, sign, whole, fraction = '', exponent = '0'] = match;
+    const coefficient = BigInt(whole + fraction || '0');
+
+    return create(sign === '-' ? -coefficient : coefficient, Number(exponent) - fraction.length);
+  }
+
+  // ========================================
+  // STEP 2: HELPERS
+  // ========================================
+  function abs(n) {
+    return n < 0n ? -n : n;
+  }
+
+  function digitCount(coefficient) {
+    return abs(coefficient).toString().length;
+  }
+
+  function pow10(n) {
+    return 10n ** BigInt(n);
+  }
+
+  // Both coefficients scaled to the same (smallest) exponent, ready to add or compare
+  function align(a, b) {
+    const exponent = Math.min(a.exponent, b.exponent);
+    return {
+      left: a.coefficient * pow10(a.exponent - exponent),
+      right: b.coefficient * pow10(b.exponent - exponent),
+      exponent,
+    };
+  }
+
+  // The power of ten of the first digit, e.g. 3 for 1234 and -2 for 0.05
+  function adjustedExponent(value) {
+    return digitCount(value.coefficient) - 1 + value.exponent;
+  }
+
+  // ========================================
+  // STEP 3: ROUNDING
+  // ========================================
+  // Drops the last `drop` digits of a coefficient. sticky says there were more
+  // non-zero digits after those (e.g. the remainder of a division).
+  function roundCoefficient(coefficient, drop, rounding, sticky = false) {
+    if (drop <= 0) {
+      return coefficient;
+    }
+
+    const divisor = pow10(drop);
+    const negative = coefficient < 0n;
+    const kept = abs(coefficient) / divisor;
+    const rest = abs(coefficient) % divisor;
+
+    // Is what we drop below (-1), exactly at (0) or above (1) the half?
+    const twice = rest * 2n;
+    let half = twice < divisor ? -1 : twice === divisor ? 0 : 1;
+    if (half === 0 && sticky) {
+      half = 1;
+    }
+    const dropsSomething = rest !== 0n || sticky;
+
+    let roundAway;
+    switch (rounding) {
+      case ROUNDING.UP:
+        roundAway = dropsSomething;
+        break;
+      case ROUNDING.DOWN:
+        roundAway = false;
+        break;
+      case ROUNDING.CEILING:
+        roundAway = dropsSomething && !negative;
+        break;
+      case ROUNDING.FLOOR:
+        roundAway = dropsSomething && negative;
+        break;
+      case ROUNDING.HALF_DOWN:
+        roundAway = half > 0;
+        break;
+      case ROUNDING.HALF_EVEN:
+        roundAway = half > 0 || (half === 0 && kept % 2n === 1n);
+        break;
+      case ROUNDING.HALF_UP:
+        roundAway = half >= 0;
+        break;
+      default:
+        throw new RangeError(`Unknown rounding mode: ${rounding}`);
+    }
+
+    const rounded = roundAway ? kept + 1n : kept;
+    return negative ? -rounded : rounded;
+  }
+
+  // Rounds to `precision` significant digits
+  function round(value, { precision = DEFAULT_PRECISION, rounding = DEFAULT_ROUNDING } = {}, sticky = false) {
+    const drop = digitCount(value.coefficient) - precision;
+    if (drop <= 0 && !sticky) {
+      return value;
+    }
+
+    return create(roundCoefficient(value.coefficient, drop, rounding, sticky), value.exponent + Math.max(drop, 0));
+  }
+
+  // Rounds to a number of digits after the point, e.g. 2 for money
+  function roundToPlaces(value, places, rounding = DEFAULT_ROUNDING) {
+    const drop = -places - value.exponent;
+    if (drop <= 0) {
+      return value;
+    }
+
+    return create(roundCoefficient(value.coefficient, drop, rounding), -places);
+  }
+
+  // ========================================
+  // STEP 4: ARITHMETIC
+  // ========================================
+  function add(a, b) {
+    const { left, right, exponent } = align(a, b);
+    return create(left + right, exponent);
+  }
+
+  function subtract(a, b) {
+    return add(a, negate(b));
+  }
+
+  function multiply(a, b) {
+    return create(a.coefficient * b.coefficient, a.exponent + b.exponent);
+  }
+
+  // The only operation that can't always be exact: 1 / 3 goes on forever
+  function divide(a, b, { precision = DEFAULT_PRECISION, rounding = DEFAULT_ROUNDING } = {}) {
+    if (isZero(b)) {
+      throw new RangeError('Division by zero');
+    }
+    if (isZero(a)) {
+      return ZERO;
+    }
+
+    // Scale a up so the whole-number quotient has at least precision + 1 digits
+    const scale = Math.max(0, precision + digitCount(b.coefficient) - digitCount(a.coefficient) + 1);
+    const numerator = a.coefficient * pow10(scale);
+    const quotient = numerator / b.coefficient;
+    const remainder = numerator % b.coefficient;
+
+    return round(
+      { coefficient: quotient, exponent: a.exponent - b.exponent - scale },
+      { precision, rounding },
+      remainder !== 0n
+    );
+  }
+
+  // Whole-number exponents only, e.g. 1.5^3 or 2^-2. Exact as long as the
+  // result fits in `precision` digits, rounded like divide() when it doesn't
+  function power(base, exponent, { precision = DEFAULT_PRECISION, rounding = DEFAULT_ROUNDING } = {}) {
+    if (!Number.isSafeInteger(exponent)) {
+      throw new RangeError(`Not a whole number exponent: ${exponent}`);
+    }
+    if (exponent < 0 && isZero(base)) {
+      throw new RangeError('Division by zero');
+    }
+
+    // Square and multiply, with a few extra digits so rounding on the way doesn't show
+    const working = { precision: precision + 10, rounding };
+    let result = ONE;
+    let factor = base;
+    let remaining = Math.abs(exponent);
+
+    while (remaining > 0) {
+      if (remaining % 2 === 1) {
+        result = round(multiply(result, factor), working);
+      }
+      remaining = Math.floor(remaining / 2);
+      if (remaining > 0) {
+        factor = round(multiply(factor, factor), working);
+      }
+    }
+
+    if (exponent < 0) {
+      return divide(ONE, result, { precision, rounding });
+    }
+    return round(result, { precision, rounding });
+  }
+
+  // n! for a whole number n, always exact
+  function factorial(n) {
+    if (!Number.isSafeInteger(n) || n < 0) {
+      throw new RangeError(`Not a whole number 0 or above: ${n}`);
+    }
+
+    if (n > MAX_FACTORIAL) {
+      throw new RangeError('Overflow');
+    }
+
+    let result = 1n;
+    for (let i = 2n; i <= BigInt(n); i++) {
+      result *= i;
+    }
+    return create(result, 0);
+  }
+
+  // Also rounded to `precision` significant digits, unless the root is exact
+  function squareRoot(value, { precision = DEFAULT_PRECISION, rounding = DEFAULT_ROUNDING } = {}) {
+    if (value.coefficient < 0n) {
+      throw new RangeError('Square root of a negative number');
+    }
+    if (isZero(value)) {
+      return ZERO;
+    }
+
+    // Enough digits for precision + 1 digits of root, and an even exponent to halve
+    let extra = Math.max(0, 2 * (precision + 1) - digitCount(value.coefficient));
+    if ((value.exponent - extra) % 2 !== 0) {
+      extra++;
+    }
+    const coefficient = value.coefficient * pow10(extra);
+    const root = integerSquareRoot(coefficient);
+
+    return round(
+      { coefficient: root, exponent: (value.exponent - extra) / 2 },
+      { precision, rounding },
+      root * root !== coefficient
+    );
+  }
+
+  // Largest whole number whose square is at most n (Newton's method)
+  function integerSquareRoot(n) {
+    if (n < 2n) {
+      return n;
+    }
+
+    // Start above the root, each step comes down until it stops changing
+    let x = 1n << BigInt(Math.ceil(n.toString(2).length / 2));
+    for (;;) {
+      const next = (x + n / x) / 2n;
+      if (next >= x) {
+        return x;
+      }
+      x = next;
+    }
+  }
+
+  // What's left after dividing, with the sign of a (like % on numbers)
+  function remainder(a, b) {
+    if (isZero(b)) {
+      throw new RangeError('Division by zero');
+    }
+
+    const { left, right, exponent } = align(a, b);
+    return create(left % right, exponent);
+  }
+
+  function negate(value) {
+    return create(-value.coefficient, value.exponent);
+  }
+
+  function isZero(value) {
+    return value.coefficient === 0n;
+  }
+
+  function isInteger(value) {
+    return value.exponent >= 0;
+  }
+
+  // -1, 0 or 1, like a sort comparator
+  function compare(a, b) {
+    const { left, right } = align(a, b);
+    return left < right ? -1 : left > right ? 1 : 0;
+  }
+
+  // ========================================
+  // STEP 5: CONVERT TO TEXT
+  // ========================================
+  // Plain digits, e.g. '-0.00125' or '1200'
+  function toPlainString(value) {
+    const digits = abs(value.coefficient).toString();
+    const sign = value.coefficient < 0n ? '-' : '';
+
+    if (value.exponent >= 0) {
+      return sign + digits + '0'.repeat(value.exponent);
+    }
+
+    const padded = digits.padStart(-value.exponent + 1, '0');
+    const point = padded.length + value.exponent;
+    return `${sign}${padded.slice(0, point)}.${padded.slice(point)}`;
+  }
+
+  // Scientific notation, e.g. '1.25e+25' or '-3e-9'
+  function toScientificString(value) {
+    const digits = abs(value.coefficient).toString();
+    const sign = value.coefficient < 0n ? '-' : '';
+    const adjusted = adjustedExponent(value);
+    const mantissa = digits.length > 1 ? `${digits[0]}.${digits.slice(1)}` : digits;
+
+    return `${sign}${mantissa}e${adjusted < 0 ? '-' : '+'}${Math.abs(adjusted)}`;
+  }
+
+  // Same switch-over as JavaScript numbers: plain unless the number is
+  // 10^21 or bigger, or smaller than 10^-7. Whatever comes out, parse() reads back.
+  function toString(value) {
+    if (isZero(value)) {
+      return '0';
+    }
+
+    const adjusted = adjustedExponent(value);
+    return adjusted >= 21 || adjusted < -7 ? toScientificString(value) : toPlainString(value);
+  }
+
+  // At most maxLength characters: plain if it fits (rounding off decimals if
+  // needed), scientific with as many digits as fit when it doesn't
+  function toDisplayString(value, maxLength, rounding = DEFAULT_ROUNDING) {
+    const plain = toString(value);
+    if (plain.length <= maxLength || isZero(value)) {
+      return plain;
+    }
+
+    const sign = value.coefficient < 0n ? 1 : 0;
+    const adjusted = adjustedExponent(value);
+
+    // Only the decimals are too long: cut them down, e.g. 0.33333333333333
+    if (adjusted >= -7 && adjusted < maxLength - sign - 1) {
+      const wholeDigits = Math.max(adjusted + 1, 1);
+      const rounded = roundToPlaces(value, maxLength - sign - wholeDigits - 1, rounding);
+
+      // Rounding 9.99... can carry into a new whole digit
+      if (toPlainString(rounded).length <= maxLength && !isZero(rounded)) {
+        return toPlainString(rounded);
+      }
+    }
+
+    // Scientific: sign + digit + '.' + digits + 'e+25'
+    const exponentLength = `e+${Math.abs(adjusted) + 1}`.length;
+    const mantissaDigits = Math.max(maxLength - sign - exponentLength - 1, 1);
+    return toScientificString(round(value, { precision: mantissaDigits, rounding }));
+  }
+
+  // For things that only work on floating point numbers, like Math.sin
+  function toNumber(value) {
+    return Number(toString(value));
+  }
+
+  function fromNumber(number) {
+    if (!Number.isFinite(number)) {
+      throw new RangeError('Overflow');
+    }
+    return parse(String(number));
+  }
+
+  return {
+    ROUNDING,
+    DEFAULT_PRECISION,
+    DEFAULT_ROUNDING,
+    MAX_EXPONENT,
+    MAX_FACTORIAL,
+    ZERO,
+    ONE,
+    parse,
+    add,
+    subtract,
+    multiply,
+    divide,
+    power,
+    factorial,
+    squareRoot,
+    remainder,
+    negate,
+    round,
+    roundToPlaces,
+    isZero,
+    isInteger,
+    compare,
+    toString,
+    toPlainString,
+    toScientificString,
+    toDisplayString,
+    toNumber,
+    fromNumber,
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DecimalMath;
+}
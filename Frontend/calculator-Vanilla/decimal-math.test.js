@@ -0,0 +1,122 @@
+// Run with: node --test Frontend/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DecimalMath = require('./decimal-math.js');
+
+const { parse, toString, ROUNDING } = DecimalMath;
+
+// ========================================
+// EXACTNESS
+// ========================================
+test('0.1 + 0.2 is exactly 0.3', () => {
+  assert.equal(toString(DecimalMath.add(parse('0.1'), parse('0.2'))), '0.3');
+  assert.equal(DecimalMath.compare(DecimalMath.add(parse('0.1'), parse('0.2')), parse('0.3')), 0);
+});
+
+test('subtracting and multiplying are exact', () => {
+  assert.equal(toString(DecimalMath.subtract(parse('0.3'), parse('0.1'))), '0.2');
+  assert.equal(toString(DecimalMath.multiply(parse('1.1'), parse('1.1'))), '1.21');
+});
+
+test('dividing rounds to the precision', () => {
+  assert.equal(toString(DecimalMath.divide(parse('1'), parse('3'), { precision: 5 })), '0.33333');
+  assert.equal(toString(DecimalMath.divide(parse('2'), parse('3'), { precision: 5 })), '0.66667');
+  assert.throws(() => DecimalMath.divide(parse('1'), DecimalMath.ZERO), /Division by zero/);
+});
+
+// ========================================
+// ROUNDING
+// ========================================
+// 2.5, -2.5 and 2.6 at one significant digit, the examples of ROUNDING
+const roundingCases = [
+  [ROUNDING.HALF_UP, ['3', '-3', '3']],
+  [ROUNDING.HALF_DOWN, ['2', '-2', '3']],
+  [ROUNDING.HALF_EVEN, ['2', '-2', '3']],
+  [ROUNDING.UP, ['3', '-3', '3']],
+  [ROUNDING.DOWN, ['2', '-2', '2']],
+  [ROUNDING.CEILING, ['3', '-2', '3']],
+  [ROUNDING.FLOOR, ['2', '-3', '2']],
+];
+
+roundingCases.forEach(([rounding, expected]) => {
+  test(`${rounding} rounding`, () => {
+    const rounded = ['2.5', '-2.5', '2.6'].map((text) => toString(DecimalMath.round(parse(text), { precision: 1, rounding })));
+    assert.deepEqual(rounded, expected);
+  });
+});
+
+test('half-even rounds an odd digit up', () => {
+  assert.equal(toString(DecimalMath.round(parse('3.5'), { precision: 1, rounding: ROUNDING.HALF_EVEN })), '4');
+});
+
+test('a remainder after the half counts when rounding a division', () => {
+  // 1 / 6 = 0.1666..., half-down still rounds the 6 up
+  assert.equal(toString(DecimalMath.divide(parse('1'), parse('6'), { precision: 2, rounding: ROUNDING.HALF_DOWN })), '0.17');
+});
+
+test('an unknown rounding mode is an error', () => {
+  assert.throws(() => DecimalMath.round(parse('2.5'), { precision: 1, rounding: 'sideways' }), RangeError);
+});
+
+// ========================================
+// LIMITS
+// ========================================
+test(`numbers past 10^${DecimalMath.MAX_EXPONENT} overflow`, () => {
+  const biggest = parse(`9e${DecimalMath.MAX_EXPONENT}`);
+
+  assert.equal(toString(biggest), `9e+${DecimalMath.MAX_EXPONENT}`);
+  assert.throws(() => DecimalMath.multiply(biggest, parse('10')), /Overflow/);
+  assert.throws(() => parse(`1e${DecimalMath.MAX_EXPONENT + 1}`), /Overflow/);
+});
+
+test(`numbers below 10^-${DecimalMath.MAX_EXPONENT} become 0`, () => {
+  const smallest = parse(`1e-${DecimalMath.MAX_EXPONENT}`);
+
+  assert.equal(toString(smallest), `1e-${DecimalMath.MAX_EXPONENT}`);
+  assert.ok(DecimalMath.isZero(DecimalMath.divide(smallest, parse('10'))));
+});
+
+test(`factorials stop at ${DecimalMath.MAX_FACTORIAL}!`, () => {
+  assert.equal(toString(DecimalMath.factorial(20)), '2432902008176640000');
+  assert.doesNotThrow(() => DecimalMath.factorial(DecimalMath.MAX_FACTORIAL));
+  assert.throws(() => DecimalMath.factorial(DecimalMath.MAX_FACTORIAL + 1), /Overflow/);
+  assert.throws(() => DecimalMath.factorial(2.5), RangeError);
+});
+
+// ========================================
+// SQUARE ROOT
+// ========================================
+test('exact square roots stay exact', () => {
+  assert.equal(toString(DecimalMath.squareRoot(parse('2.25'))), '1.5');
+  assert.equal(toString(DecimalMath.squareRoot(parse('1e-10'))), '0.00001');
+});
+
+test('other square roots are rounded to the precision', () => {
+  assert.equal(toString(DecimalMath.squareRoot(parse('2'), { precision: 10 })), '1.414213562');
+  assert.equal(toString(DecimalMath.squareRoot(parse('2'), { precision: 10, rounding: ROUNDING.UP })), '1.414213563');
+});
+
+test('the square root of a negative number is an error', () => {
+  assert.throws(() => DecimalMath.squareRoot(parse('-4')), /Square root of a negative number/);
+});
+
+// ========================================
+// DISPLAY
+// ========================================
+test('toString switches to scientific like JavaScript numbers', () => {
+  assert.equal(toString(parse('1200')), '1200');
+  assert.equal(toString(parse('-0.00125')), '-0.00125');
+  assert.equal(toString(parse('1.5e21')), '1.5e+21');
+  assert.equal(toString(parse('3e-8')), '3e-8');
+});
+
+test('toDisplayString fits the number into the display', () => {
+  assert.equal(DecimalMath.toDisplayString(parse('123.5'), 10), '123.5');
+  assert.equal(DecimalMath.toDisplayString(DecimalMath.divide(parse('1'), parse('3')), 10), '0.33333333');
+  assert.equal(DecimalMath.toDisplayString(DecimalMath.divide(parse('-2'), parse('3')), 10), '-0.6666667');
+  assert.equal(DecimalMath.toDisplayString(parse('123456789012'), 10), '1.2346e+11');
+});
+
+test('toDisplayString carries 9.99... into a new digit', () => {
+  assert.equal(DecimalMath.toDisplayString(parse('9.9999999999'), 6), '10');
+});
@@ -0,0 +1,311 @@
+// ========================================
+// EXPRESSION PARSER
+// ========================================
+// Turns what the user typed, e.g. '2+3*(4-1)', into a tree that script.js can
+// evaluate. Two steps:
+//   1. tokenize()        -> '2', '+', '3', '*', '(', ...
+//   2. parseExpression() -> { type: 'binary', operator: '+', left, right }
+//
+// Grammar, from lowest to highest precedence (all binary operators are left
+// associative, so 8-3-2 is (8-3)-2):
+//   expression -> xor ('|' xor)*
+//   xor        -> and ('⊕' and)*
+//   and        -> shift ('&' shift)*
+//   shift      -> sum (('<<' | '>>') sum)*
+//   sum        -> term (('+' | '-') term)*
+//   term       -> unary (('*' | '/' | 'mod') unary)*
+//   unary      -> ('-' | '+' | '~') unary | power
+//   power      -> postfix ('^' unary)?
+//   postfix    -> primary ('%' | '!')*
+//   primary    -> number | constant | function '(' expression ')' | '(' expression ')'
+//
+// ^ is right associative (2^3^2 is 2^9) and binds tighter than a minus in
+// front, so -2^2 is -4.
+//
+// % is a percentage like on a desk calculator: on its own 10% is 0.1, after
+// + or - it's a share of what's on the left, so 200+10% is 220 (see evaluate()).
+//
+// The bitwise operators (| OR, ⊕ XOR, & AND, ~ NOT, shifts) are for programmer
+// mode, which also passes the base its numbers are written in, e.g. { base: 'hex' }.
+
+// How operators look on the buttons
+const OPERATOR_SYMBOLS = {
+  '*': '×',
+  '-': '−',
+  '&': ' AND ',
+  '|': ' OR ',
+  '⊕': ' XOR ',
+  '~': 'NOT ',
+  '<<': ' << ',
+  '>>': ' >> ',
+};
+
+// Numbers in programmer mode: whole, in their base (hex letters are uppercase)
+const INTEGER_PATTERNS = {
+  hex: /^[0-9A-F]+/,
+  dec: /^\d+/,
+  oct: /^[0-7]+/,
+  bin: /^[01]+/,
+};
+
+// Names the scientific keys type. The constant e is written ℯ in the
+// expression, so it can't be mixed up with the e in a result like 1e+21
+const FUNCTION_NAMES = ['asin', 'acos', 'atan', 'sin', 'cos', 'tan', 'exp', 'log', 'ln'];
+const CONSTANT_NAMES = ['π', 'ℯ'];
+const NAMES = [...FUNCTION_NAMES, 'mod', ...CONSTANT_NAMES]; // Longest first, asin before sin
+
+// Thrown for anything the grammar doesn't allow. position is the index of the
+// offending character in the input, so the UI can point at it.
+class CalculatorSyntaxError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.name = 'CalculatorSyntaxError';
+    this.position = position;
+  }
+}
+
+// ========================================
+// STEP 1: TOKENIZE
+// ========================================
+// base is only given in programmer mode, otherwise numbers are decimals
+function tokenize(input, base = null) {
+  const tokens = [];
+  let position = 0;
+
+  while (position < input.length) {
+    const rest = input.slice(position);
+    const char = input[position];
+
+    // Spaces don't matter
+    if (char === ' ') {
+      position++;
+      continue;
+    }
+
+    // Numbers: 12, 12.5, 12., .5 and results like 1e+21
+    const number = base ? rest.match(INTEGER_PATTERNS[base]) : rest.match(/^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i);
+    if (number) {
+      tokens.push({ type: 'number', value: number[0], position });
+      position += number[0].length;
+      continue;
+    }
+
+    if (rest.startsWith('<<') || rest.startsWith('>>')) {
+      tokens.push({ type: 'operator', value: rest.slice(0, 2), position });
+      position += 2;
+      continue;
+    }
+
+    if ('+-*/%^!&|⊕~'.includes(char)) {
+      tokens.push({ type: 'operator', value: char, position });
+      position++;
+      continue;
+    }
+
+    if (char === '(' || char === ')') {
+      tokens.push({ type: 'paren', value: char, position });
+      position++;
+      continue;
+    }
+
+    const name = NAMES.find((candidate) => rest.startsWith(candidate));
+    if (name) {
+      const type = name === 'mod' ? 'operator' : 'name';
+      tokens.push({ type, value: name, position });
+      position += name.length;
+      continue;
+    }
+
+    // VALIDATION: Anything else can't be calculated
+    throw new CalculatorSyntaxError(`Unknown character ${char}`, position);
+  }
+
+  return tokens;
+}
+
+// ========================================
+// STEP 2: PARSE (RECURSIVE DESCENT)
+// ========================================
+function parseExpression(input, { base = null } = {}) {
+  const tokens = tokenize(input, base);
+  let index = 0;
+
+  // VALIDATION: Nothing typed yet
+  if (tokens.length === 0) {
+    throw new CalculatorSyntaxError('Nothing to calculate', 0);
+  }
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const isToken = (token, value) => token !== undefined && token.value === value;
+
+  // Reports the token we didn't expect, or the end of the input
+  function unexpected(token) {
+    if (token === undefined) {
+      throw new CalculatorSyntaxError('Incomplete expression', input.length);
+    }
+    throw new CalculatorSyntaxError(`Unexpected ${formatExpression(token.value)}`, token.position);
+  }
+
+  // Left associative binary operators: operand (operator operand)*
+  function parseBinary(operators, parseOperand) {
+    let node = parseOperand();
+
+    while (peek() !== undefined && operators.includes(peek().value)) {
+      const operator = next().value;
+      node = { type: 'binary', operator, left: node, right: parseOperand() };
+    }
+
+    return node;
+  }
+
+  // expression -> xor ('|' xor)*, and so on down to sum
+  const parseOr = () => parseBinary(['|'], parseXor);
+  const parseXor = () => parseBinary(['⊕'], parseAnd);
+  const parseAnd = () => parseBinary(['&'], parseShift);
+  const parseShift = () => parseBinary(['<<', '>>'], parseSum);
+
+  // sum -> term (('+' | '-') term)*
+  function parseSum() {
+    let node = parseProduct();
+
+    while (isToken(peek(), '+') || isToken(peek(), '-')) {
+      const operator = next().value;
+      node = { type: 'binary', operator, left: node, right: parseProduct() };
+    }
+
+    return node;
+  }
+
+  // term -> unary (('*' | '/' | 'mod') unary)*
+  function parseProduct() {
+    let node = parseUnary();
+
+    while (isToken(peek(), '*') || isToken(peek(), '/') || isToken(peek(), 'mod')) {
+      const operator = next().value;
+      node = { type: 'binary', operator, left: node, right: parseUnary() };
+    }
+
+    return node;
+  }
+
+  // unary -> ('-' | '+' | '~') unary | power
+  function parseUnary() {
+    if (isToken(peek(), '-') || isToken(peek(), '+') || isToken(peek(), '~')) {
+      const operator = next().value;
+      const operand = parseUnary();
+      return operator === '+' ? operand : { type: 'unary', operator, operand };
+    }
+
+    return parsePower();
+  }
+
+  // power -> postfix ('^' unary)?
+  // The exponent goes back up to unary, which makes ^ right associative
+  function parsePower() {
+    const node = parsePostfix();
+
+    if (isToken(peek(), '^')) {
+      next();
+      return { type: 'binary', operator: '^', left: node, right: parseUnary() };
+    }
+
+    return node;
+  }
+
+  // postfix -> primary ('%' | '!')*
+  function parsePostfix() {
+    let node = parsePrimary();
+
+    while (isToken(peek(), '%') || isToken(peek(), '!')) {
+      const type = next().value === '%' ? 'percent' : 'factorial';
+      node = { type, operand: node };
+    }
+
+    return node;
+  }
+
+  // primary -> number | '(' expression ')'
+  function parsePrimary() {
+    const token = next();
+
+    if (token !== undefined && token.type === 'number') {
+      return { type: 'number', value: token.value };
+    }
+
+    if (token !== undefined && CONSTANT_NAMES.includes(token.value)) {
+      return { type: 'constant', name: token.value };
+    }
+
+    // primary -> function '(' expression ')'
+    if (token !== undefined && FUNCTION_NAMES.includes(token.value)) {
+      // VALIDATION: A function needs its argument in parentheses
+      if (!isToken(peek(), '(')) {
+        throw new CalculatorSyntaxError(`Missing ( after ${formatExpression(token.value)}`, token.position);
+      }
+      return { type: 'function', name: token.value, argument: parseParentheses(next()) };
+    }
+
+    if (isToken(token, '(')) {
+      return parseParentheses(token);
+    }
+
+    return unexpected(token);
+  }
+
+  // What's inside a ( we just read, up to and including its )
+  function parseParentheses(open) {
+    // VALIDATION: Empty parentheses
+    if (isToken(peek(), ')')) {
+      throw new CalculatorSyntaxError('Empty parentheses', open.position);
+    }
+
+    const node = parseOr();
+
+    // VALIDATION: Every ( needs a )
+    if (!isToken(peek(), ')')) {
+      if (peek() === undefined) {
+        throw new CalculatorSyntaxError('Missing )', open.position);
+      }
+      unexpected(peek());
+    }
+    next();
+    return node;
+  }
+
+  const tree = parseOr();
+
+  // VALIDATION: Everything must have been used, e.g. '2)' or '(2)3'
+  const leftover = peek();
+  if (leftover !== undefined) {
+    if (leftover.type === 'number' || leftover.type === 'name' || isToken(leftover, '(')) {
+      throw new CalculatorSyntaxError(`Missing operator before ${formatExpression(leftover.value)}`, leftover.position);
+    }
+    unexpected(leftover);
+  }
+
+  return tree;
+}
+
+// ========================================
+// STEP 3: FORMAT FOR THE DISPLAY
+// ========================================
+// '2*-3' -> '2×−3' and 'asin(ℯ' -> 'sin⁻¹(e', using the same symbols as the buttons
+function formatExpression(input) {
+  return input
+    .replace(/<<|>>|[*\-&|⊕~]/g, (operator) => OPERATOR_SYMBOLS[operator])
+    .replace(/a(sin|cos|tan)/g, '$1⁻¹')
+    .replace(/mod/g, ' mod ')
+    .replace(/ℯ/g, 'e');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CalculatorSyntaxError,
+    FUNCTION_NAMES,
+    CONSTANT_NAMES,
+    tokenize,
+    parseExpression,
+    formatExpression,
+  };
+}
@@ -0,0 +1,144 @@
+// Run with: node --test Frontend/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CalculatorSyntaxError, tokenize, parseExpression, formatExpression } = require('./expression-parser.js');
+
+// The tree as text with every grouping spelled out, e.g. '(2 + (3 * 4))'
+function show(node) {
+  switch (node.type) {
+    case 'number':
+      return node.value;
+    case 'constant':
+      return node.name;
+    case 'binary':
+      return `(${show(node.left)} ${node.operator} ${show(node.right)})`;
+    case 'unary':
+      return `(${node.operator}${show(node.operand)})`;
+    case 'percent':
+      return `${show(node.operand)}%`;
+    case 'factorial':
+      return `${show(node.operand)}!`;
+    case 'function':
+      return `${node.name}[${show(node.argument)}]`;
+    default:
+      throw new Error(`Unknown node ${node.type}`);
+  }
+}
+
+const parse = (input, options) => show(parseExpression(input, options));
+
+// Checks the message and the position the UI points at
+function assertSyntaxError(input, message, position) {
+  assert.throws(() => parseExpression(input), (error) => {
+    assert.ok(error instanceof CalculatorSyntaxError);
+    assert.equal(error.message, message);
+    assert.equal(error.position, position);
+    return true;
+  });
+}
+
+// ========================================
+// TOKENS
+// ========================================
+test('tokenize reads numbers, operators and names', () => {
+  assert.deepEqual(tokenize('12.5*sin(.5)').map((token) => token.value), ['12.5', '*', 'sin', '(', '.5', ')']);
+  assert.deepEqual(tokenize('1e+21+2').map((token) => token.value), ['1e+21', '+', '2']);
+  assert.deepEqual(tokenize('FF<<1', 'hex').map((token) => token.value), ['FF', '<<', '1']);
+});
+
+// ========================================
+// PRECEDENCE AND ASSOCIATIVITY
+// ========================================
+test('* and / bind tighter than + and -', () => {
+  assert.equal(parse('2+3*4'), '(2 + (3 * 4))');
+  assert.equal(parse('2*3+4/5'), '((2 * 3) + (4 / 5))');
+  assert.equal(parse('7mod3+1'), '((7 mod 3) + 1)');
+});
+
+test('binary operators are left associative', () => {
+  assert.equal(parse('8-3-2'), '((8 - 3) - 2)');
+  assert.equal(parse('8/4/2'), '((8 / 4) / 2)');
+});
+
+test('^ is right associative and binds tighter than everything but postfix', () => {
+  assert.equal(parse('2^3^2'), '(2 ^ (3 ^ 2))');
+  assert.equal(parse('2*3^2'), '(2 * (3 ^ 2))');
+  assert.equal(parse('3!^2'), '(3! ^ 2)');
+});
+
+test('bitwise operators sit below the arithmetic ones', () => {
+  assert.equal(parse('1|2⊕3&4<<1+1', { base: 'dec' }), '(1 | (2 ⊕ (3 & (4 << (1 + 1)))))');
+});
+
+// ========================================
+// UNARY MINUS
+// ========================================
+test('a minus in front negates what follows', () => {
+  assert.equal(parse('-3+2'), '((-3) + 2)');
+  assert.equal(parse('2*-3'), '(2 * (-3))');
+  assert.equal(parse('--3'), '(-(-3))');
+  assert.equal(parse('+3'), '3');
+});
+
+test('-2^2 is minus (2^2), the power is grouped first', () => {
+  assert.equal(parse('-2^2'), '(-(2 ^ 2))');
+  assert.equal(parse('2^-1'), '(2 ^ (-1))');
+});
+
+// ========================================
+// PERCENT
+// ========================================
+test('% applies to the number right before it', () => {
+  assert.equal(parse('10%'), '10%');
+  assert.equal(parse('200+10%'), '(200 + 10%)');
+  assert.equal(parse('50*10%'), '(50 * 10%)');
+  assert.equal(parse('(1+1)%'), '(1 + 1)%');
+});
+
+// ========================================
+// PARENTHESES
+// ========================================
+test('parentheses override precedence', () => {
+  assert.equal(parse('(2+3)*4'), '((2 + 3) * 4)');
+  assert.equal(parse('((2))'), '2');
+});
+
+test('grouping that isn\'t written out follows the precedence rules', () => {
+  // Same trees with and without the parentheses that precedence implies
+  assert.equal(parse('2+3*4'), parse('2+(3*4)'));
+  assert.equal(parse('-2^2'), parse('-(2^2)'));
+  assert.equal(parse('2^3^2'), parse('2^(3^2)'));
+  assert.equal(parse('sin(π)*2'), '(sin[π] * 2)');
+});
+
+// ========================================
+// ERRORS
+// ========================================
+test('unbalanced parentheses are syntax errors', () => {
+  assertSyntaxError('(2+3', 'Missing )', 0);
+  assertSyntaxError('2+(3*(4-1)', 'Missing )', 2);
+  assertSyntaxError('2)', 'Unexpected )', 1);
+  assertSyntaxError('()', 'Empty parentheses', 0);
+});
+
+test('a trailing operator is an incomplete expression', () => {
+  assertSyntaxError('2+', 'Incomplete expression', 2);
+  assertSyntaxError('2*-', 'Incomplete expression', 3);
+});
+
+test('other syntax errors point at the offending character', () => {
+  assertSyntaxError('', 'Nothing to calculate', 0);
+  assertSyntaxError('2+*3', 'Unexpected ×', 2);
+  assertSyntaxError('(2)3', 'Missing operator before 3', 3);
+  assertSyntaxError('sin 2', 'Missing ( after sin', 0);
+  assertSyntaxError('2#3', 'Unknown character #', 1);
+});
+
+// ========================================
+// DISPLAY
+// ========================================
+test('formatExpression uses the symbols of the buttons', () => {
+  assert.equal(formatExpression('2*-3'), '2×−3');
+  assert.equal(formatExpression('asin(ℯ'), 'sin⁻¹(e');
+  assert.equal(formatExpression('7mod2'), '7 mod 2');
+});
@@ -0,0 +1,109 @@
+// ========================================
+// PROGRAMMER MATH
+// ========================================
+// Whole numbers the way a CPU register holds them: a fixed number of bits
+// (the word size), negative numbers in two's complement. Values are BigInts
+// kept in the signed range of the word, so with 8 bits:
+//
+//   ProgrammerMath.parse('FF', 'hex', 8);   // -1n
+//   ProgrammerMath.format(-1n, 'bin', 8);   // '11111111'
+//   ProgrammerMath.format(-1n, 'dec', 8);   // '-1'
+const ProgrammerMath = (() => {
+  const BASES = { hex: 16, dec: 10, oct: 8, bin: 2 };
+  const WORD_SIZES = [8, 16, 32, 64];
+
+  // Digits each base can type, hex letters are uppercase
+  const DIGITS = {
+    hex: '0123456789ABCDEF',
+    dec: '0123456789',
+    oct: '01234567',
+    bin: '01',
+  };
+
+  // BigInt() understands these prefixes, decimal needs none
+  const PREFIXES = { hex: '0x', dec: '', oct: '0o', bin: '0b' };
+
+  // ========================================
+  // STEP 1: WORD SIZE
+  // ========================================
+  // Cuts a value down to the word, like a register overflowing: 128 in 8 bits is -128
+  function wrap(value, wordSize) {
+    return BigInt.asIntN(wordSize, value);
+  }
+
+  // ========================================
+  // STEP 2: TEXT <-> VALUE
+  // ========================================
+  function isDigit(char, base) {
+    return char.length === 1 && DIGITS[base].includes(char);
+  }
+
+  // '-1F' in hex -> -31n, wrapped to the word
+  function parse(text, base, wordSize) {
+    const negative = text.startsWith('-');
+    const digits = negative ? text.slice(1) : text;
+
+    // VALIDATION: Only digits of this base
+    if (digits === '' || ![...digits].every((char) => isDigit(char, base))) {
+      throw new SyntaxError(`Not a ${base} number: ${text}`);
+    }
+
+    const magnitude = BigInt(PREFIXES[base] + digits);
+    return wrap(negative ? -magnitude : magnitude, wordSize);
+  }
+
+  // Decimal shows the signed value, the other bases show the bits
+  function format(value, base, wordSize) {
+    if (base === 'dec') {
+      return wrap(value, wordSize).toString();
+    }
+    return BigInt.asUintN(wordSize, value).toString(BASES[base]).toUpperCase();
+  }
+
+  // Would typing `text` still fit in the word? Decimal has to stay in the
+  // signed range (-128 to 127 for 8 bits), the other bases can use every bit
+  function fits(text, base, wordSize) {
+    const negative = text.startsWith('-');
+    const digits = negative ? text.slice(1) : text;
+    if (digits === '') {
+      return true;
+    }
+
+    const magnitude = BigInt(PREFIXES[base] + digits);
+    if (base === 'dec') {
+      const limit = 1n << BigInt(wordSize - 1);
+      return negative ? magnitude <= limit : magnitude < limit;
+    }
+    return magnitude < 1n << BigInt(wordSize);
+  }
+
+  // ========================================
+  // STEP 3: SHIFTS
+  // ========================================
+  // Bits pushed past the top are lost
+  function shiftLeft(value, count, wordSize) {
+    return wrap(value << BigInt(Math.min(count, wordSize)), wordSize);
+  }
+
+  // Arithmetic shift: the sign bit is copied in, so -8 >> 1 is -4
+  function shiftRight(value, count, wordSize) {
+    return wrap(value >> BigInt(Math.min(count, wordSize)), wordSize);
+  }
+
+  return {
+    BASES,
+    WORD_SIZES,
+    DIGITS,
+    wrap,
+    isDigit,
+    parse,
+    format,
+    fits,
+    shiftLeft,
+    shiftRight,
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ProgrammerMath;
+}
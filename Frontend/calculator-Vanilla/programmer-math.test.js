@@ -0,0 +1,111 @@
+// Run with: node --test Frontend/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ProgrammerMath = require('./programmer-math.js');
+
+const { wrap, parse, format, fits, shiftLeft, shiftRight } = ProgrammerMath;
+
+// The signed range of each word size, e.g. 8 bits: -128 to 127
+const limits = (wordSize) => {
+  const half = 1n << BigInt(wordSize - 1);
+  return { min: -half, max: half - 1n };
+};
+
+// NOT the way script.js works it out: ~ then wrap to the word
+const not = (value, wordSize) => wrap(~value, wordSize);
+
+// ========================================
+// TWO'S COMPLEMENT
+// ========================================
+ProgrammerMath.WORD_SIZES.forEach((wordSize) => {
+  const { min, max } = limits(wordSize);
+
+  test(`${wordSize} bits wrap around at ${min} and ${max}`, () => {
+    assert.equal(wrap(max, wordSize), max);
+    assert.equal(wrap(min, wordSize), min);
+    assert.equal(wrap(max + 1n, wordSize), min);
+    assert.equal(wrap(min - 1n, wordSize), max);
+    assert.equal(wrap(1n << BigInt(wordSize), wordSize), 0n);
+  });
+
+  test(`${wordSize} bits show -1 as all ones`, () => {
+    const allOnes = '1'.repeat(wordSize);
+
+    assert.equal(format(-1n, 'bin', wordSize), allOnes);
+    assert.equal(format(-1n, 'hex', wordSize), 'F'.repeat(wordSize / 4));
+    assert.equal(parse(allOnes, 'bin', wordSize), -1n);
+  });
+});
+
+// ========================================
+// SHIFTS
+// ========================================
+test('shifting left drops the bits pushed past the top', () => {
+  assert.equal(shiftLeft(1n, 3, 8), 8n);
+  assert.equal(shiftLeft(64n, 1, 8), -128n);
+  assert.equal(shiftLeft(0x81n, 1, 16), 0x102n);
+  assert.equal(shiftLeft(-128n, 1, 8), 0n);
+  assert.equal(shiftLeft(1n, 100, 8), 0n);
+});
+
+test('shifting right copies the sign bit in', () => {
+  assert.equal(shiftRight(16n, 2, 8), 4n);
+  assert.equal(shiftRight(-8n, 1, 8), -4n);
+  assert.equal(shiftRight(-1n, 5, 8), -1n);
+  assert.equal(shiftRight(-128n, 100, 8), -1n);
+  assert.equal(shiftRight(127n, 100, 8), 0n);
+});
+
+// ========================================
+// NOT
+// ========================================
+test('NOT flips every bit of the word', () => {
+  assert.equal(not(0n, 8), -1n);
+  assert.equal(not(5n, 8), -6n);
+  assert.equal(format(not(0x0Fn, 8), 'bin', 8), '11110000');
+  assert.equal(format(not(0n, 16), 'hex', 16), 'FFFF');
+  assert.equal(not(not(1234n, 32), 32), 1234n);
+});
+
+// ========================================
+// TEXT <-> VALUE
+// ========================================
+test('parse reads each base', () => {
+  assert.equal(parse('1F', 'hex', 32), 31n);
+  assert.equal(parse('-1F', 'hex', 32), -31n);
+  assert.equal(parse('777', 'oct', 32), 511n);
+  assert.equal(parse('1010', 'bin', 32), 10n);
+  assert.equal(parse('-42', 'dec', 32), -42n);
+});
+
+test('parse wraps to the word size', () => {
+  assert.equal(parse('FF', 'hex', 8), -1n);
+  assert.equal(parse('FF', 'hex', 16), 255n);
+  assert.equal(parse('128', 'dec', 8), -128n);
+});
+
+test('parse refuses digits the base does not have', () => {
+  assert.throws(() => parse('12', 'bin', 8), /Not a bin number: 12/);
+  assert.throws(() => parse('8', 'oct', 8), SyntaxError);
+  assert.throws(() => parse('ff', 'hex', 8), SyntaxError);
+  assert.throws(() => parse('', 'dec', 8), SyntaxError);
+  assert.throws(() => parse('-', 'dec', 8), SyntaxError);
+});
+
+test('format shows decimal signed and the other bases as bits', () => {
+  assert.equal(format(-2n, 'dec', 8), '-2');
+  assert.equal(format(-2n, 'hex', 8), 'FE');
+  assert.equal(format(-2n, 'oct', 8), '376');
+  assert.equal(format(255n, 'hex', 32), 'FF');
+  assert.equal(format(0n, 'bin', 64), '0');
+});
+
+test('fits keeps decimal in the signed range and the other bases in the bits', () => {
+  assert.equal(fits('127', 'dec', 8), true);
+  assert.equal(fits('128', 'dec', 8), false);
+  assert.equal(fits('-128', 'dec', 8), true);
+  assert.equal(fits('-129', 'dec', 8), false);
+  assert.equal(fits('FF', 'hex', 8), true);
+  assert.equal(fits('100', 'hex', 8), false);
+  assert.equal(fits('-', 'dec', 8), true);
+});
@@ -2,19 +2,100 @@
 // STEP 1: SELECT DOM ELEMENTS
 // ========================================
 const display = document.querySelector('#display');
+const statusLine = document.querySelector('#status');
+const memoryIndicator = document.querySelector('#memory-indicator');
 const buttons = document.querySelectorAll('.btn');
+const buttonsGrid = document.querySelector('.buttons');
+const scientificToggle = document.querySelector('#scientific-toggle');
+const programmerToggle = document.querySelector('#programmer-toggle');
+const basePanel = document.querySelector('.base-panel');
+const baseRows = document.querySelectorAll('.base-row');
+const wordSizeSelect = document.querySelector('#word-size-select');
+const container = document.querySelector('.container');
+const converterToggle = document.querySelector('#converter-toggle');
+const converterPanel = document.querySelector('.converter');
+const conversionCategorySelect = document.querySelector('#conversion-category');
+const conversionFromSelect = document.querySelector('#conversion-from');
+const conversionToSelect = document.querySelector('#conversion-to');
+const conversionResult = document.querySelector('#conversion-result');
+const conversionSwapButton = document.querySelector('#conversion-swap');
+const conversionUseButton = document.querySelector('#conversion-use');
+const currencyRatesSection = document.querySelector('.currency-rates');
+const ratesBase = document.querySelector('#rates-base');
+const ratesList = document.querySelector('#rates-list');
+const rateAddForm = document.querySelector('#rate-add-form');
+const rateAddCode = document.querySelector('#rate-add-code');
+const rateAddValue = document.querySelector('#rate-add-value');
+const ratesImportInput = document.querySelector('#rates-import');
+const ratesExportButton = document.querySelector('#rates-export');
+const ratesResetButton = document.querySelector('#rates-reset');
+const inverseButton = document.querySelector('.btn[data-value="INV"]');
+const angleButton = document.querySelector('.btn[data-value="ANGLE"]');
+const inverseLabelButtons = document.querySelectorAll('.btn[data-inverse-label]');
+const historyList = document.querySelector('#history-list');
+const historyClearButton = document.querySelector('#history-clear');
+const historyExportButton = document.querySelector('#history-export');
+const precisionSelect = document.querySelector('#precision-select');
+const roundingSelect = document.querySelector('#rounding-select');
 
-console.log('✅ DOM Elements Selected:', { display, buttons: buttons.length });
+console.log('✅ DOM Elements Selected:', { display, statusLine, buttons: buttons.length, historyList });
 
 // ========================================
 // STEP 2: INITIALIZE STATE
 // ========================================
+let expression = '';        // Everything typed before the current number, e.g. '2+3*('
 let currentInput = '';      // What user is currently typing
-let previousInput = '';     // Number before operator
-let operator = '';          // Current operator (+, -, *, /)
-let shouldResetDisplay = false; // Flag to clear display after equals
+let shouldResetDisplay = false; // Flag to start a new number instead of adding to a result
+let memory = DecimalMath.ZERO; // What MR gives back, changed by M+ / M− / MC
+let isInverse = false;      // INV is on: sin types sin⁻¹, ln types eˣ...
+let calculationHistory = []; // Finished calculations, newest first: { expression, result, time }
+let currencyRates = UnitConversion.DEFAULT_RATES; // { base, rates }, edited or imported in the converter
 
-console.log('✅ Initial State:', { currentInput, previousInput, operator });
+const HISTORY_STORAGE_KEY = 'calculator-history';
+const HISTORY_LIMIT = 100;  // Oldest lines drop off the tape after this
+const RATES_STORAGE_KEY = 'calculator-currency-rates';
+
+// How results are rounded (see decimal-math.js), changed under Settings
+let settings = {
+  precision: DecimalMath.DEFAULT_PRECISION, // Significant digits kept in a result
+  rounding: DecimalMath.DEFAULT_ROUNDING,
+  scientific: false,        // Scientific keys shown
+  angleUnit: 'deg',         // 'deg' or 'rad', for sin/cos/tan and their inverses
+  programmer: false,        // Whole numbers only, with the base and bitwise keys
+  base: 'dec',              // Programmer mode: 'hex', 'dec', 'oct' or 'bin'
+  wordSize: 64,             // Programmer mode: bits per number
+  converter: false,         // Conversion panel shown
+  conversion: { category: 'length', from: 'm', to: 'ft' },
+};
+
+const SETTINGS_STORAGE_KEY = 'calculator-settings';
+const PRECISION_OPTIONS = [12, 16, 32, 64];
+const ROUNDING_LABELS = {
+  [DecimalMath.ROUNDING.HALF_UP]: 'Half up',
+  [DecimalMath.ROUNDING.HALF_EVEN]: 'Half even',
+  [DecimalMath.ROUNDING.HALF_DOWN]: 'Half down',
+  [DecimalMath.ROUNDING.UP]: 'Up',
+  [DecimalMath.ROUNDING.DOWN]: 'Down',
+  [DecimalMath.ROUNDING.CEILING]: 'Ceiling',
+  [DecimalMath.ROUNDING.FLOOR]: 'Floor',
+};
+const DISPLAY_MAX_LENGTH = 16; // Characters that fit, longer results switch to scientific notation
+
+// Enough digits for the largest precision setting
+const CONSTANTS = {
+  'π': DecimalMath.parse('3.1415926535897932384626433832795028841971693993751058209749445923'),
+  'ℯ': DecimalMath.parse('2.7182818284590452353602874713526624977572470936999595749669676277'),
+};
+
+// Thrown while evaluating for maths that has no answer, e.g. dividing by zero
+class CalculationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CalculationError';
+  }
+}
+
+console.log('✅ Initial State:', { expression, currentInput });
 
 // ========================================
 // STEP 3: SETUP EVENT LISTENERS
@@ -34,10 +115,13 @@ console.log('✅ Event listeners attached to', buttons.length, 'buttons');
 // STEP 4: HANDLE INPUT (MAIN LOGIC)
 // ========================================
 function handleInput(value) {
-  console.log('📥 Handling input:', value, '| Current state:', { currentInput, previousInput, operator });
+  console.log('📥 Handling input:', value, '| Current state:', { expression, currentInput });
   
-  // CLEAR button
-  if (value === 'C') {
+  // Any new input replaces the last error message
+  showStatus('');
+  
+  // CLEAR button (not 'C', that's a hex digit in programmer mode)
+  if (value === 'CLEAR') {
     clear();
     return;
   }
@@ -54,12 +138,52 @@ function handleInput(value) {
     return;
   }
   
-  // OPERATOR buttons (+, -, *, /, %)
-  if (['+', '-', '*', '/', '%'].includes(value)) {
+  // OPERATOR buttons (+, -, *, /, %, ^, !, mod), % is a percentage like 200+10%,
+  // and the bitwise ones from programmer mode (AND, OR, XOR, NOT, shifts)
+  if (['+', '-', '*', '/', '%', '^', '!', 'mod', '&', '|', '⊕', '~', '<<', '>>'].includes(value)) {
     handleOperator(value);
     return;
   }
   
+  // PARENTHESES buttons
+  if (value === '(' || value === ')') {
+    handleParenthesis(value);
+    return;
+  }
+  
+  // UNARY buttons (±, √, x², 1/x)
+  if (['+/-', 'sqrt', 'sqr', '1/x'].includes(value)) {
+    handleUnaryOperation(value);
+    return;
+  }
+  
+  // SCIENTIFIC buttons
+  if (['sin', 'cos', 'tan', 'ln', 'log'].includes(value)) {
+    handleFunction(value);
+    return;
+  }
+  
+  if (value === 'π' || value === 'ℯ') {
+    handleConstant(value);
+    return;
+  }
+  
+  if (value === 'INV') {
+    setInverse(!isInverse);
+    return;
+  }
+  
+  if (value === 'ANGLE') {
+    toggleAngleUnit();
+    return;
+  }
+  
+  // MEMORY buttons (MC, MR, M+, M−)
+  if (['MC', 'MR', 'M+', 'M-'].includes(value)) {
+    handleMemory(value);
+    return;
+  }
+  
   // NUMBER and DECIMAL buttons
   handleNumber(value);
 }
@@ -70,12 +194,17 @@ function handleInput(value) {
 function handleNumber(num) {
   console.log('🔢 Adding number:', num);
   
-  // If we just calculated, start fresh
+  // If we just calculated, start a new number
   if (shouldResetDisplay) {
     currentInput = '';
     shouldResetDisplay = false;
   }
   
+  if (settings.programmer) {
+    handleProgrammerDigit(num);
+    return;
+  }
+  
   // VALIDATION: Prevent multiple decimals
   if (num === '.' && currentInput.includes('.')) {
     console.warn('⚠️ Already has decimal point');
@@ -90,137 +219,1335 @@ function handleNumber(num) {
   }
   
   console.log('✅ Current input updated:', currentInput);
-  updateDisplay(currentInput);
+  showExpression();
 }
 
 // ========================================
-// STEP 6: HANDLE OPERATORS
+// STEP 6: HANDLE OPERATORS & PARENTHESES
 // ========================================
+// Nothing is worked out yet, the operator is just added to the expression.
+// That way 2+3*4 can respect precedence when = is pressed.
 function handleOperator(op) {
   console.log('➕ Operator clicked:', op);
   
-  // VALIDATION: Can't start with operator
-  if (currentInput === '' && previousInput === '') {
-    console.warn('⚠️ No number entered yet');
-    return;
-  }
+  // After equals we carry on from the result
+  commitCurrentInput();
+  expression += op;
+  shouldResetDisplay = false;
   
-  // If we have a pending calculation, do it first
-  if (operator && currentInput !== '') {
-    console.log('⚡ Calculating pending operation first');
-    calculate();
-  }
+  console.log('✅ Operator added:', expression);
+  showExpression();
+}
+
+function handleParenthesis(paren) {
+  console.log('➕ Parenthesis clicked:', paren);
   
-  // Store the current state
-  if (currentInput !== '') {
-    previousInput = currentInput;
+  // ( after a result starts a new number, ) carries on from the result
+  if (shouldResetDisplay && paren === '(') {
     currentInput = '';
   }
   
-  operator = op;
+  commitCurrentInput();
+  expression += paren;
   shouldResetDisplay = false;
   
-  console.log('✅ Operator stored:', { previousInput, operator });
+  console.log('✅ Parenthesis added:', expression);
+  showExpression();
+}
+
+// The number being typed is finished, move it into the expression
+function commitCurrentInput() {
+  expression += currentInput;
+  currentInput = '';
 }
 
 // ========================================
 // STEP 7: CALCULATE RESULT
 // ========================================
+// Returns false if there was nothing to work out or it went wrong
 function calculate() {
-  console.log('🧮 Calculating:', previousInput, operator, currentInput);
+  const input = expression + currentInput;
+  console.log('🧮 Calculating:', input);
   
-  // VALIDATION: Need both numbers and operator
-  if (previousInput === '' || currentInput === '' || operator === '') {
+  // VALIDATION: Need something to calculate
+  if (input === '') {
     console.warn('⚠️ Missing data for calculation');
-    return;
+    return false;
   }
   
-  const prev = parseFloat(previousInput);
-  const current = parseFloat(currentInput);
   let result;
   
-  console.log('📊 Parsed values:', { prev, current, operator });
+  try {
+    // Programmer mode reads numbers in its base and works with whole numbers
+    const tree = parseExpression(input, { base: settings.programmer ? settings.base : null });
+    console.log('📊 Parsed expression:', tree);
+    
+    if (settings.programmer) {
+      result = ProgrammerMath.format(evaluateInteger(tree), settings.base, settings.wordSize);
+    } else {
+      // Only division rounds along the way, keep the rest to the same precision
+      result = DecimalMath.toString(DecimalMath.round(evaluate(tree), settings));
+    }
+  } catch (error) {
+    // Typing mistake: keep the expression so it can be fixed
+    if (error instanceof CalculatorSyntaxError) {
+      console.warn('⚠️ Syntax error:', error.message, 'at', error.position);
+      showStatus(`Syntax error at character ${error.position + 1}: ${error.message}`);
+      return false;
+    }
+    
+    if (isCalculationError(error)) {
+      showCalculationError(error);
+      return false;
+    }
+    
+    throw error;
+  }
+  
+  console.log('✅ Result:', result);
+  
+  // Update state, currentInput keeps every digit for the next calculation
+  expression = '';
+  currentInput = result;
+  shouldResetDisplay = true;
+  
+  addToHistory(input, currentInput);
+  
+  showExpression();
+  return true;
+}
+
+// Works out the tree from parseExpression(), children first.
+// Numbers are exact decimals (decimal-math.js), not floating point.
+// base is what a percentage is a share of: the left side of a + or -
+function evaluate(node, base = null) {
+  if (node.type === 'number') {
+    return DecimalMath.parse(node.value);
+  }
+  
+  if (node.type === 'constant') {
+    return CONSTANTS[node.name];
+  }
+  
+  if (node.type === 'function') {
+    return SCIENTIFIC_FUNCTIONS[node.name](evaluate(node.argument));
+  }
+  
+  if (node.type === 'factorial') {
+    const value = evaluate(node.operand);
+    
+    // VALIDATION: Only whole numbers have a factorial here
+    if (!DecimalMath.isInteger(value) || DecimalMath.compare(value, DecimalMath.ZERO) < 0) {
+      throw new CalculationError('n! needs a whole number 0 or above');
+    }
+    return DecimalMath.factorial(DecimalMath.toNumber(value));
+  }
+  
+  if (node.type === 'unary') {
+    return DecimalMath.negate(evaluate(node.operand, base));
+  }
+  
+  // 10% is 0.1, or 10% of the base: 200+10% is 200+20
+  if (node.type === 'percent') {
+    const fraction = DecimalMath.divide(evaluate(node.operand), DecimalMath.parse('100'), settings);
+    return base === null ? fraction : DecimalMath.multiply(base, fraction);
+  }
+  
+  const left = evaluate(node.left);
+  const right = evaluate(node.right, node.operator === '+' || node.operator === '-' ? left : null);
   
   // Perform calculation based on operator
-  switch (operator) {
+  switch (node.operator) {
     case '+':
-      result = prev + current;
-      break;
+      return DecimalMath.add(left, right);
     case '-':
-      result = prev - current;
-      break;
+      return DecimalMath.subtract(left, right);
     case '*':
-      result = prev * current;
-      break;
+      return DecimalMath.multiply(left, right);
     case '/':
-      if (current === 0) {
-        console.error('❌ Division by zero!');
-        updateDisplay('Error');
-        clear();
-        return;
+      if (DecimalMath.isZero(right)) {
+        throw new CalculationError('Division by zero!');
       }
-      result = prev / current;
-      break;
-    case '%':
-      result = prev % current;
-      break;
+      return DecimalMath.divide(left, right, settings);
+    case 'mod':
+      if (DecimalMath.isZero(right)) {
+        throw new CalculationError('Division by zero!');
+      }
+      return DecimalMath.remainder(left, right);
+    case '^':
+      return raise(left, right);
     default:
-      console.error('❌ Unknown operator:', operator);
-      return;
+      throw new Error(`Unknown operator: ${node.operator}`);
   }
+}
+
+// left^right: exact for whole-number exponents, floating point otherwise
+function raise(base, exponent) {
+  const wholeExponent = DecimalMath.isInteger(exponent) && Number.isSafeInteger(DecimalMath.toNumber(exponent));
   
-  // Round to avoid floating point errors (e.g., 0.1 + 0.2 = 0.30000000000000004)
-  result = Math.round(result * 100000000) / 100000000;
+  if (wholeExponent) {
+    if (DecimalMath.isZero(base) && DecimalMath.compare(exponent, DecimalMath.ZERO) < 0) {
+      throw new CalculationError('Division by zero!');
+    }
+    return DecimalMath.power(base, DecimalMath.toNumber(exponent), settings);
+  }
   
-  console.log('✅ Result:', result);
+  // VALIDATION: (-8)^0.5 has no real answer
+  if (DecimalMath.compare(base, DecimalMath.ZERO) < 0) {
+    throw new CalculationError("Can't raise a negative number to a fraction");
+  }
+  return fromFloat(Math.pow(DecimalMath.toNumber(base), DecimalMath.toNumber(exponent)));
+}
+
+// Maths without an answer (RangeError is an overflow or square root of a
+// negative number from decimal-math.js)
+function isCalculationError(error) {
+  return error instanceof CalculationError || error instanceof RangeError;
+}
+
+// Start again and say why
+function showCalculationError(error) {
+  console.error('❌', error.message);
+  clear();
+  updateDisplay('Error');
+  showStatus(error.message);
+}
+
+// ========================================
+// STEP 8: UNARY OPERATIONS
+// ========================================
+// These work on currentInput straight away, whatever operator is pending:
+// 2+9 then √ gives 2+3
+const UNARY_OPERATIONS = {
+  'sqrt': (value) => DecimalMath.squareRoot(value, settings),
+  'sqr': (value) => DecimalMath.multiply(value, value),
+  '1/x': (value) => {
+    if (DecimalMath.isZero(value)) {
+      throw new CalculationError('Division by zero!');
+    }
+    return DecimalMath.divide(DecimalMath.ONE, value, settings);
+  },
+};
+
+function handleUnaryOperation(name) {
+  console.log('🔣 Unary operation:', name, currentInput);
+  
+  // Sign toggle only flips the text, so 12. can still be typed on
+  if (name === '+/-') {
+    toggleSign();
+    return;
+  }
+  
+  const value = readCurrentInput();
+  if (value === null) {
+    return;
+  }
   
-  // Update state
-  currentInput = result.toString();
-  previousInput = '';
-  operator = '';
+  let result;
+  try {
+    result = DecimalMath.round(UNARY_OPERATIONS[name](value), settings);
+  } catch (error) {
+    if (isCalculationError(error)) {
+      showCalculationError(error);
+      return;
+    }
+    throw error;
+  }
+  
+  // The result can't be typed on, the next digit starts a new number
+  currentInput = DecimalMath.toString(result);
   shouldResetDisplay = true;
   
-  updateDisplay(currentInput);
+  console.log('✅ Unary result:', currentInput);
+  showExpression();
+}
+
+function toggleSign() {
+  // VALIDATION: Need a number to change
+  if (currentInput === '') {
+    console.warn('⚠️ No number entered yet');
+    showStatus('Enter a number first');
+    return;
+  }
+  
+  currentInput = currentInput.startsWith('-') ? currentInput.slice(1) : '-' + currentInput;
+  
+  console.log('✅ Sign toggled:', currentInput);
+  showExpression();
+}
+
+// currentInput as a decimal, or null (with a message) if there isn't a number yet
+function readCurrentInput() {
+  try {
+    return DecimalMath.parse(currentInput);
+  } catch (error) {
+    console.warn('⚠️ No number entered yet');
+    showStatus('Enter a number first');
+    return null;
+  }
+}
+
+// ========================================
+// STEP 9: SCIENTIFIC FUNCTIONS
+// ========================================
+// Trigonometry and logarithms only exist for floating point numbers, so these
+// are good to about 15 digits, whatever the precision setting
+const SCIENTIFIC_FUNCTIONS = {
+  sin: (value) => fromFloat(Math.sin(toRadians(value))),
+  cos: (value) => fromFloat(Math.cos(toRadians(value))),
+  tan: (value) => {
+    const radians = toRadians(value);
+    
+    // VALIDATION: tan(90°) goes off to infinity
+    if (isFloatZero(Math.cos(radians))) {
+      throw new CalculationError(`tan is undefined at ${formatAngle(value)}`);
+    }
+    return fromFloat(Math.tan(radians));
+  },
+  asin: (value) => fromFloat(fromRadians(Math.asin(toUnitRange(value, 'sin⁻¹')))),
+  acos: (value) => fromFloat(fromRadians(Math.acos(toUnitRange(value, 'cos⁻¹')))),
+  atan: (value) => fromFloat(fromRadians(Math.atan(DecimalMath.toNumber(value)))),
+  ln: (value) => fromFloat(Math.log(toPositive(value, 'ln'))),
+  log: (value) => fromFloat(Math.log10(toPositive(value, 'log'))),
+  exp: (value) => fromFloat(Math.exp(DecimalMath.toNumber(value))),
+};
+
+// What sin, cos, ln... type with INV on
+const INVERSE_FUNCTIONS = { sin: 'asin', cos: 'acos', tan: 'atan', ln: 'exp' };
+
+// Types e.g. sin( after whatever came before
+function handleFunction(name) {
+  const typed = isInverse && INVERSE_FUNCTIONS[name] ? INVERSE_FUNCTIONS[name] : name;
+  console.log('📐 Function clicked:', typed);
+  
+  // After a result the function starts a new number, like (
+  if (shouldResetDisplay) {
+    currentInput = '';
+  }
+  
+  commitCurrentInput();
+  expression += `${typed}(`;
+  shouldResetDisplay = false;
+  setInverse(false);
+  
+  showExpression();
+}
+
+function handleConstant(name) {
+  console.log('📐 Constant clicked:', name);
+  
+  if (shouldResetDisplay) {
+    currentInput = '';
+  }
+  
+  commitCurrentInput();
+  expression += name;
+  shouldResetDisplay = false;
+  
+  showExpression();
+}
+
+function setInverse(on) {
+  isInverse = on;
+  inverseButton.classList.toggle('active', isInverse);
+  inverseButton.setAttribute('aria-pressed', isInverse);
+  
+  inverseLabelButtons.forEach((button) => {
+    button.textContent = isInverse ? button.dataset.inverseLabel : button.dataset.label;
+  });
+}
+
+function toggleAngleUnit() {
+  settings.angleUnit = settings.angleUnit === 'deg' ? 'rad' : 'deg';
+  console.log('📐 Angle unit:', settings.angleUnit);
+  
+  saveSettings();
+  renderAngleUnit();
+}
+
+function renderAngleUnit() {
+  angleButton.textContent = settings.angleUnit.toUpperCase();
+  angleButton.setAttribute('aria-label', settings.angleUnit === 'deg' ? 'Degrees, switch to radians' : 'Radians, switch to degrees');
+}
+
+function toRadians(value) {
+  const number = DecimalMath.toNumber(value);
+  return settings.angleUnit === 'deg' ? (number * Math.PI) / 180 : number;
+}
+
+function fromRadians(radians) {
+  return settings.angleUnit === 'deg' ? (radians * 180) / Math.PI : radians;
+}
+
+function formatAngle(value) {
+  const angle = formatExpression(DecimalMath.toDisplayString(value, DISPLAY_MAX_LENGTH, settings.rounding));
+  return settings.angleUnit === 'deg' ? `${angle}°` : angle;
+}
+
+// VALIDATION helpers: the number for Math.asin / Math.log, or a domain error
+function toUnitRange(value, name) {
+  const number = DecimalMath.toNumber(value);
+  if (number < -1 || number > 1) {
+    throw new CalculationError(`${name} needs a number from −1 to 1`);
+  }
+  return number;
+}
+
+function toPositive(value, name) {
+  const number = DecimalMath.toNumber(value);
+  if (number <= 0) {
+    throw new CalculationError(`${name} needs a number above 0`);
+  }
+  return number;
+}
+
+// sin(180°) comes out as 1.2e-16 instead of 0
+function isFloatZero(number) {
+  return Math.abs(number) < 1e-15;
+}
+
+// Floating point has about 15 good digits, the rest is noise (0.49999999999999994)
+function fromFloat(number) {
+  if (!Number.isFinite(number)) {
+    throw new CalculationError('Overflow');
+  }
+  if (isFloatZero(number)) {
+    return DecimalMath.ZERO;
+  }
+  return DecimalMath.parse(number.toPrecision(15));
+}
+
+// Scientific and programmer mode can't be on together, the converter goes with either
+function applyModes() {
+  buttonsGrid.classList.toggle('scientific', settings.scientific);
+  buttonsGrid.classList.toggle('programmer', settings.programmer);
+  container.classList.toggle('converting', settings.converter);
+  scientificToggle.setAttribute('aria-pressed', settings.scientific);
+  programmerToggle.setAttribute('aria-pressed', settings.programmer);
+  converterToggle.setAttribute('aria-pressed', settings.converter);
+  basePanel.hidden = !settings.programmer;
+  converterPanel.hidden = !settings.converter;
+  
+  updateProgrammerKeys();
+  if (settings.programmer) {
+    renderBasePanel();
+  }
+}
+
+scientificToggle.addEventListener('click', () => {
+  settings.scientific = !settings.scientific;
+  console.log('📐 Scientific mode:', settings.scientific);
+  
+  // Decimals again, what was typed in programmer mode can't be kept
+  if (settings.programmer) {
+    settings.programmer = false;
+    clear();
+  }
+  
+  saveSettings();
+  applyModes();
+});
+
+programmerToggle.addEventListener('click', () => {
+  settings.programmer = !settings.programmer;
+  settings.scientific = false;
+  console.log('💻 Programmer mode:', settings.programmer);
+  
+  // Decimals and whole numbers in another base don't mix, start again
+  clear();
+  saveSettings();
+  applyModes();
+});
+
+converterToggle.addEventListener('click', () => {
+  settings.converter = !settings.converter;
+  console.log('📏 Converter:', settings.converter);
+  
+  saveSettings();
+  applyModes();
+  renderConversion();
+});
+
+// ========================================
+// STEP 10: PROGRAMMER MODE
+// ========================================
+// Whole numbers written in HEX, DEC, OCT or BIN, cut to the word size and
+// negative in two's complement (programmer-math.js). The expression is built
+// the same way, calculate() just works it out with BigInts.
+const BASE_LABELS = { hex: 'HEX', dec: 'DEC', oct: 'OCT', bin: 'BIN' };
+
+function evaluateInteger(node) {
+  const { wordSize } = settings;
+  const wrap = (value) => ProgrammerMath.wrap(value, wordSize);
+  
+  if (node.type === 'number') {
+    return ProgrammerMath.parse(node.value, settings.base, wordSize);
+  }
+  
+  if (node.type === 'unary') {
+    const operand = evaluateInteger(node.operand);
+    return wrap(node.operator === '~' ? ~operand : -operand);
+  }
+  
+  // VALIDATION: %, n!, sin... don't make sense for whole numbers
+  if (node.type !== 'binary') {
+    throw new CalculationError('Not available in programmer mode');
+  }
+  
+  const left = evaluateInteger(node.left);
+  const right = evaluateInteger(node.right);
+  
+  switch (node.operator) {
+    case '+':
+      return wrap(left + right);
+    case '-':
+      return wrap(left - right);
+    case '*':
+      return wrap(left * right);
+    case '/':
+      if (right === 0n) {
+        throw new CalculationError('Division by zero!');
+      }
+      return wrap(left / right); // Rounds towards zero, -7/2 is -3
+    case 'mod':
+      if (right === 0n) {
+        throw new CalculationError('Division by zero!');
+      }
+      return wrap(left % right);
+    case '&':
+      return left & right;
+    case '|':
+      return left | right;
+    case '⊕':
+      return left ^ right;
+    case '<<':
+    case '>>': {
+      // VALIDATION: Can't shift by a negative count
+      if (right < 0n) {
+        throw new CalculationError('Shifts need a count of 0 or more');
+      }
+      const shift = node.operator === '<<' ? ProgrammerMath.shiftLeft : ProgrammerMath.shiftRight;
+      return shift(left, Number(right), wordSize);
+    }
+    default:
+      throw new CalculationError('Not available in programmer mode');
+  }
+}
+
+function handleProgrammerDigit(digit) {
+  // VALIDATION: Only digits of the base
+  if (!ProgrammerMath.isDigit(digit, settings.base)) {
+    console.warn('⚠️ Not a digit in', settings.base, digit);
+    showStatus(`${digit} is not a ${BASE_LABELS[settings.base]} digit`);
+    return;
+  }
+  
+  // VALIDATION: Prevent starting with multiple zeros
+  const typed = currentInput === '0' ? digit : currentInput + digit;
+  
+  // VALIDATION: Must fit in the word
+  if (!ProgrammerMath.fits(typed, settings.base, settings.wordSize)) {
+    console.warn('⚠️ Too big for the word size', typed);
+    showStatus(`Too big for ${settings.wordSize} bits`);
+    return;
+  }
+  
+  currentInput = typed;
+  console.log('✅ Current input updated:', currentInput);
+  showExpression();
+}
+
+// currentInput as a BigInt, 0 while nothing (or just a -) is typed
+function readIntegerInput() {
+  try {
+    return ProgrammerMath.parse(currentInput, settings.base, settings.wordSize);
+  } catch (error) {
+    return 0n;
+  }
+}
+
+// The current number in every base at once
+function renderBasePanel() {
+  const value = readIntegerInput();
+  
+  baseRows.forEach((row) => {
+    const base = row.dataset.base;
+    let digits = ProgrammerMath.format(value, base, settings.wordSize);
+    
+    // 1010 0101 is easier to read than 10100101
+    if (base === 'bin') {
+      digits = digits.padStart(Math.ceil(digits.length / 4) * 4, '0').replace(/(\d{4})(?=\d)/g, '$1 ');
+    }
+    
+    row.querySelector('.base-value').textContent = digits;
+    row.classList.toggle('active', base === settings.base);
+    row.setAttribute('aria-pressed', base === settings.base);
+  });
+}
+
+// Rewrites the expression and currentInput in the new base, so 2+FF in HEX
+// becomes 2+255 in DEC (or 2+-1 with an 8-bit word, the same bits)
+function changeBase(base) {
+  const convert = (digits) => ProgrammerMath.format(
+    ProgrammerMath.parse(digits, settings.base, settings.wordSize),
+    base,
+    settings.wordSize
+  );
+  
+  console.log('🔁 Base changed:', settings.base, '->', base);
+  
+  expression = expression.replace(/[0-9A-F]+/g, convert);
+  if (/[0-9A-F]/.test(currentInput)) {
+    currentInput = convert(currentInput);
+  }
+  settings.base = base;
+  
+  saveSettings();
+  updateProgrammerKeys();
+  showExpression();
+}
+
+function changeWordSize(wordSize) {
+  console.log('🔁 Word size changed:', settings.wordSize, '->', wordSize);
+  
+  // The number being typed is cut down (or grows) to the new word
+  if (/[0-9A-F]/.test(currentInput)) {
+    currentInput = ProgrammerMath.format(
+      ProgrammerMath.parse(currentInput, settings.base, wordSize),
+      settings.base,
+      wordSize
+    );
+  }
+  settings.wordSize = wordSize;
+  
+  saveSettings();
+  showExpression();
+}
+
+// Digits the base doesn't have, and keys for fractions, can't be pressed.
+// Memory holds a decimal, so it's kept for standard mode and can't be used here
+function updateProgrammerKeys() {
+  buttons.forEach((button) => {
+    const value = button.dataset.value;
+    
+    if (/^[0-9A-F]$/.test(value)) {
+      button.disabled = settings.programmer && !ProgrammerMath.isDigit(value, settings.base);
+    } else if (['.', '%', '!', 'sqrt', 'sqr', '1/x', 'MC', 'MR', 'M+', 'M-'].includes(value)) {
+      button.disabled = settings.programmer;
+    }
+  });
+}
+
+baseRows.forEach((row) => {
+  row.addEventListener('click', () => changeBase(row.dataset.base));
+});
+
+wordSizeSelect.addEventListener('change', () => {
+  changeWordSize(Number(wordSizeSelect.value));
+});
+
+// ========================================
+// STEP 11: UNIT CONVERSION
+// ========================================
+// The panel next to the keypad converts the number on the display, e.g.
+// 5 km to 3.1068559611867 mi, and follows it as it changes. Currencies use the
+// rates table under it (edited by hand or imported from JSON), there's no live feed.
+const CURRENCY_CATEGORY = 'currency';
+const CONVERSION_CATEGORIES = [...Object.keys(UnitConversion.CATEGORIES), CURRENCY_CATEGORY];
+
+// The category picked in the panel, currency is made from the rates table
+function currentConversionCategory() {
+  if (settings.conversion.category === CURRENCY_CATEGORY) {
+    return UnitConversion.currencyCategory(currencyRates);
+  }
+  return UnitConversion.CATEGORIES[settings.conversion.category];
+}
+
+function renderConversionCategories() {
+  Object.entries(UnitConversion.CATEGORIES).forEach(([name, category]) => {
+    conversionCategorySelect.add(new Option(category.label, name));
+  });
+  conversionCategorySelect.add(new Option('Currency', CURRENCY_CATEGORY));
+  conversionCategorySelect.value = settings.conversion.category;
+}
+
+// From and To list the units of the category. A unit that isn't there any
+// more (another category, a removed currency) falls back to the first ones
+function renderConversionUnits() {
+  const units = currentConversionCategory().units;
+  const names = Object.keys(units);
+  const conversion = settings.conversion;
+  
+  if (!names.includes(conversion.from)) {
+    conversion.from = names[0];
+  }
+  if (!names.includes(conversion.to)) {
+    conversion.to = names.find((name) => name !== conversion.from);
+  }
+  
+  [conversionFromSelect, conversionToSelect].forEach((select) => {
+    select.innerHTML = '';
+    Object.entries(units).forEach(([name, unit]) => {
+      select.add(new Option(unit.label, name));
+    });
+  });
+  
+  conversionFromSelect.value = conversion.from;
+  conversionToSelect.value = conversion.to;
+  currencyRatesSection.hidden = conversion.category !== CURRENCY_CATEGORY;
+}
+
+// The number on the display converted, null while an operator waits for one
+function convertDisplayValue() {
+  let value;
+  if (settings.programmer) {
+    value = DecimalMath.parse(readIntegerInput().toString());
+  } else if (currentInput === '' && expression === '') {
+    value = DecimalMath.ZERO;
+  } else {
+    try {
+      value = DecimalMath.parse(currentInput);
+    } catch (error) {
+      return null;
+    }
+  }
+  
+  const { from, to } = settings.conversion;
+  return DecimalMath.round(UnitConversion.convert(value, currentConversionCategory(), from, to, settings), settings);
+}
+
+// Shortened to fit like a result on the display
+function renderConversion() {
+  if (!settings.converter) {
+    return;
+  }
+  
+  let text;
+  let result = null;
+  try {
+    result = convertDisplayValue();
+    text = result === null ? '–' : formatExpression(DecimalMath.toDisplayString(result, DISPLAY_MAX_LENGTH, settings.rounding));
+  } catch (error) {
+    if (!isCalculationError(error)) {
+      throw error;
+    }
+    text = 'Error';
+  }
+  
+  conversionResult.textContent = text;
+  conversionUseButton.disabled = result === null;
+}
+
+// Puts the converted number back on the display to calculate on with,
+// e.g. 2* then 5 km in mi gives 2*3.1068559611867
+function useConversionResult() {
+  let result;
+  try {
+    result = convertDisplayValue();
+  } catch (error) {
+    if (isCalculationError(error)) {
+      showCalculationError(error);
+      return;
+    }
+    throw error;
+  }
+  
+  // VALIDATION: Nothing to convert yet
+  if (result === null) {
+    showStatus('Enter a number first');
+    return;
+  }
+  
+  useResult({ result: DecimalMath.toString(result) });
+}
+
+function swapConversionUnits() {
+  const conversion = settings.conversion;
+  [conversion.from, conversion.to] = [conversion.to, conversion.from];
+  conversionFromSelect.value = conversion.from;
+  conversionToSelect.value = conversion.to;
+  
+  saveSettings();
+  renderConversion();
+}
+
+// ========================================
+// STEP 12: CURRENCY RATES
+// ========================================
+// { base: 'USD', rates: { USD: '1', EUR: '0.92', ... } }, kept in localStorage
+// like the history. Rates are strings so they stay exact decimals.
+function saveCurrencyRates() {
+  try {
+    localStorage.setItem(RATES_STORAGE_KEY, JSON.stringify(currencyRates));
+  } catch (error) {
+    console.error('❌ Failed to save currency rates:', error);
+  }
+}
+
+function loadCurrencyRates() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(RATES_STORAGE_KEY));
+    
+    // VALIDATION: Same checks as an import, anything broken gives the example rates
+    return saved === null ? UnitConversion.DEFAULT_RATES : UnitConversion.normalizeRates(saved);
+  } catch (error) {
+    console.error('❌ Failed to load currency rates:', error);
+    return UnitConversion.DEFAULT_RATES;
+  }
+}
+
+function setCurrencyRates(table) {
+  currencyRates = table;
+  console.log('💱 Currency rates:', currencyRates);
+  
+  // A mistake made before this one went in is fixed now
+  showStatus('');
+  saveCurrencyRates();
+  renderCurrencyRates();
+  if (settings.conversion.category === CURRENCY_CATEGORY) {
+    renderConversionUnits();
+  }
+  renderConversion();
+}
+
+// Editing, adding and removing all go through the same checks as an import.
+// On a mistake the table shows the rates it had before
+function updateCurrencyRates(rates) {
+  try {
+    setCurrencyRates(UnitConversion.normalizeRates({ base: currencyRates.base, rates }));
+    return true;
+  } catch (error) {
+    if (!(error instanceof SyntaxError)) {
+      throw error;
+    }
+    console.warn('⚠️ Rates not changed:', error.message);
+    showStatus(error.message);
+    renderCurrencyRates();
+    return false;
+  }
+}
+
+function removeCurrency(code) {
+  const rates = { ...currencyRates.rates };
+  delete rates[code];
+  updateCurrencyRates(rates);
+}
+
+// One row per currency, the base is always 1 and can't be changed or removed
+function renderCurrencyRates() {
+  ratesBase.textContent = currencyRates.base;
+  ratesList.innerHTML = '';
+  
+  Object.entries(currencyRates.rates).forEach(([code, rate]) => {
+    const isBase = code === currencyRates.base;
+    const item = document.createElement('li');
+    item.className = 'rate-row';
+    
+    const label = document.createElement('span');
+    label.className = 'rate-code';
+    label.textContent = code;
+    
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'rate-input';
+    input.inputMode = 'decimal';
+    input.value = rate;
+    input.disabled = isBase;
+    input.setAttribute('aria-label', `${code} rate`);
+    input.addEventListener('change', () => {
+      updateCurrencyRates({ ...currencyRates.rates, [code]: input.value.trim() });
+    });
+    
+    item.append(label, input);
+    
+    if (!isBase) {
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'converter-action';
+      remove.textContent = '×';
+      remove.setAttribute('aria-label', `Remove ${code}`);
+      remove.addEventListener('click', () => removeCurrency(code));
+      item.appendChild(remove);
+    }
+    
+    ratesList.appendChild(item);
+  });
+}
+
+// Reads a .json file picked by the user, see UnitConversion.normalizeRates()
+// for the shapes it takes
+async function importCurrencyRates(file) {
+  try {
+    const table = UnitConversion.normalizeRates(JSON.parse(await file.text()));
+    setCurrencyRates(table);
+    console.log('📥 Currency rates imported:', Object.keys(table.rates).length);
+  } catch (error) {
+    console.error('❌ Failed to import currency rates:', error);
+    showStatus(`Couldn't import rates: ${error.message}`);
+  }
+}
+
+// Downloads the table in the same shape import takes
+function exportCurrencyRates() {
+  const text = JSON.stringify(currencyRates, null, 2);
+  const url = URL.createObjectURL(new Blob([text + '\n'], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = 'currency-rates.json';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+  
+  console.log('📤 Currency rates exported');
+}
+
+conversionCategorySelect.addEventListener('change', () => {
+  settings.conversion.category = conversionCategorySelect.value;
+  console.log('📏 Conversion category:', settings.conversion.category);
+  
+  renderConversionUnits();
+  saveSettings();
+  renderConversion();
+});
+
+conversionFromSelect.addEventListener('change', () => {
+  settings.conversion.from = conversionFromSelect.value;
+  saveSettings();
+  renderConversion();
+});
+
+conversionToSelect.addEventListener('change', () => {
+  settings.conversion.to = conversionToSelect.value;
+  saveSettings();
+  renderConversion();
+});
+
+conversionSwapButton.addEventListener('click', swapConversionUnits);
+conversionUseButton.addEventListener('click', useConversionResult);
+
+rateAddForm.addEventListener('submit', (event) => {
+  event.preventDefault();
+  
+  const code = rateAddCode.value.trim();
+  if (updateCurrencyRates({ ...currencyRates.rates, [code]: rateAddValue.value.trim() })) {
+    rateAddForm.reset();
+  }
+});
+
+ratesImportInput.addEventListener('change', () => {
+  const [file] = ratesImportInput.files;
+  // Cleared so picking the same file again still imports it
+  ratesImportInput.value = '';
+  
+  if (file) {
+    importCurrencyRates(file);
+  }
+});
+
+ratesExportButton.addEventListener('click', exportCurrencyRates);
+ratesResetButton.addEventListener('click', () => setCurrencyRates(UnitConversion.DEFAULT_RATES));
+
+// ========================================
+// STEP 13: MEMORY
+// ========================================
+function handleMemory(key) {
+  console.log('💾 Memory key:', key, DecimalMath.toString(memory));
+  
+  if (key === 'MC') {
+    memory = DecimalMath.ZERO;
+  } else if (key === 'MR') {
+    // Recalled like a result, typing a digit replaces it
+    currentInput = DecimalMath.toString(memory);
+    shouldResetDisplay = true;
+    showExpression();
+  } else {
+    // M+ and M− work out a pending expression first, like pressing =
+    // VALIDATION: Stop if the expression had a mistake in it
+    if (expression !== '' && !calculate()) {
+      return;
+    }
+    
+    const value = readCurrentInput();
+    if (value === null) {
+      return;
+    }
+    
+    memory = key === 'M+' ? DecimalMath.add(memory, value) : DecimalMath.subtract(memory, value);
+    shouldResetDisplay = true;
+  }
+  
+  console.log('✅ Memory:', DecimalMath.toString(memory));
+  updateMemoryIndicator();
+}
+
+// Shows M while something other than 0 is stored
+function updateMemoryIndicator() {
+  memoryIndicator.hidden = DecimalMath.isZero(memory);
+  memoryIndicator.title = `Memory: ${formatExpression(DecimalMath.toString(memory))}`;
 }
 
 // ========================================
-// STEP 8: CLEAR CALCULATOR
+// STEP 14: CLEAR CALCULATOR
 // ========================================
 function clear() {
   console.log('🗑️ Clearing calculator');
   
+  expression = '';
   currentInput = '';
-  previousInput = '';
-  operator = '';
   shouldResetDisplay = false;
+  setInverse(false);
   
   updateDisplay('0');
+  renderConversion();
   console.log('✅ Calculator cleared');
 }
 
 // ========================================
-// STEP 9: DELETE LAST CHARACTER
+// STEP 15: DELETE LAST CHARACTER
 // ========================================
 function deleteLastChar() {
   console.log('⌫ Deleting last character');
   
+  // Deleting from a result makes it a number being typed again
+  shouldResetDisplay = false;
+  
   if (currentInput.length > 0) {
     currentInput = currentInput.slice(0, -1);
-    console.log('✅ New input:', currentInput);
-    updateDisplay(currentInput || '0');
+  } else if (expression.length > 0) {
+    // sin( and mod go in one go
+    const lastToken = expression.match(/(?:(?:a?(?:sin|cos|tan)|exp|log|ln)\(|mod|<<|>>|.)$/)[0];
+    expression = expression.slice(0, -lastToken.length);
+    
+    // If that uncovered a number, carry on typing it
+    const lastNumber = expression.match(/[\dA-F.]*$/)[0];
+    expression = expression.slice(0, expression.length - lastNumber.length);
+    currentInput = lastNumber;
   }
+  
+  console.log('✅ New input:', expression, currentInput);
+  showExpression();
 }
 
 // ========================================
-// STEP 10: UPDATE DISPLAY (FEEDBACK)
+// STEP 16: UPDATE DISPLAY (FEEDBACK)
 // ========================================
 function updateDisplay(value) {
   display.value = value;
+  // Long expressions scroll, keep the end in view
+  display.scrollLeft = display.scrollWidth;
   console.log('🖥️ Display updated:', value);
 }
 
+// The whole expression as it's being built, e.g. 2+3×(4
+function showExpression() {
+  updateDisplay(formatExpression(expression + formatCurrentInput()) || '0');
+  
+  if (settings.programmer) {
+    renderBasePanel();
+  }
+  renderConversion();
+}
+
+// A finished value (result, memory, √...) is shortened to fit like a result,
+// what's being typed is shown as typed
+function formatCurrentInput() {
+  if (!shouldResetDisplay || settings.programmer) {
+    return currentInput;
+  }
+  
+  try {
+    return DecimalMath.toDisplayString(DecimalMath.parse(currentInput), DISPLAY_MAX_LENGTH, settings.rounding);
+  } catch (error) {
+    return currentInput;
+  }
+}
+
+// Syntax errors and other messages under the display, '' hides it
+function showStatus(message) {
+  statusLine.textContent = message;
+  statusLine.hidden = message === '';
+}
+
+// ========================================
+// STEP 17: KEYBOARD SUPPORT
+// ========================================
+// Keys that mean the same as a button, anything else is ignored
+const KEY_TO_VALUE = {
+  Enter: '=',
+  '=': '=',
+  Backspace: 'DEL',
+  Escape: 'CLEAR',
+};
+
+// Programmer mode adds the bitwise keys, ^ is XOR there like in C
+const PROGRAMMER_KEY_TO_VALUE = {
+  '&': '&',
+  '|': '|',
+  '^': '⊕',
+  '~': '~',
+  '<': '<<',
+  '>': '>>',
+};
+
+document.addEventListener('keydown', (event) => {
+  // Leave shortcuts like Ctrl+C alone
+  if (event.ctrlKey || event.metaKey || event.altKey) {
+    return;
+  }
+  
+  // Typing in the converter (a rate, a currency code) isn't for the calculator
+  if (event.target.matches('input:not([readonly]), select')) {
+    return;
+  }
+  
+  const key = event.key;
+  let value = KEY_TO_VALUE[key] || (/^[\d.+\-*/%()^!]$/.test(key) ? key : null);
+  
+  if (settings.programmer) {
+    // Hex digits can be typed in either case
+    value = PROGRAMMER_KEY_TO_VALUE[key] || (/^[a-f]$/i.test(key) ? key.toUpperCase() : value);
+  }
+  
+  if (value === null) {
+    return;
+  }
+  
+  // VALIDATION: A key does nothing while its button is disabled, e.g. % in programmer mode
+  const button = Array.from(buttons).find((candidate) => candidate.dataset.value === value);
+  if (button && button.disabled) {
+    return;
+  }
+  
+  // Stops Enter from also clicking a focused button, and / from opening quick find
+  event.preventDefault();
+  console.log('⌨️ Key pressed:', key);
+  
+  handleInput(value);
+});
+
+// ========================================
+// STEP 18: HISTORY TAPE
+// ========================================
+// Every calculation is kept in localStorage, so the tape survives a reload
+// Programmer mode also keeps the base and word size, so the result can be read back
+function addToHistory(input, result) {
+  const entry = { expression: input, result, time: Date.now() };
+  if (settings.programmer) {
+    entry.base = settings.base;
+    entry.wordSize = settings.wordSize;
+  }
+  
+  calculationHistory.unshift(entry);
+  calculationHistory = calculationHistory.slice(0, HISTORY_LIMIT);
+  
+  saveHistory();
+  renderHistory();
+}
+
+function saveHistory() {
+  try {
+    localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(calculationHistory));
+  } catch (error) {
+    console.error('❌ Failed to save history:', error);
+  }
+}
+
+function loadHistory() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(HISTORY_STORAGE_KEY));
+    
+    // VALIDATION: Ignore anything that isn't a list of lines
+    if (!Array.isArray(saved)) {
+      return [];
+    }
+    return saved.filter((entry) => entry && typeof entry.expression === 'string' && typeof entry.result === 'string');
+  } catch (error) {
+    console.error('❌ Failed to load history:', error);
+    return [];
+  }
+}
+
+function clearHistory() {
+  console.log('🗑️ Clearing history');
+  
+  calculationHistory = [];
+  saveHistory();
+  renderHistory();
+}
+
+// One line per calculation, e.g. 2+3×4 = 14 or FF AND 0F = F (HEX)
+function formatHistoryLine(entry) {
+  const base = entry.base ? ` (${BASE_LABELS[entry.base]})` : '';
+  return `${formatExpression(entry.expression)} = ${formatExpression(entry.result)}${base}`;
+}
+
+function renderHistory() {
+  historyList.innerHTML = '';
+  
+  calculationHistory.forEach((entry) => {
+    const item = document.createElement('li');
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'history-entry';
+    button.textContent = formatHistoryLine(entry);
+    button.title = new Date(entry.time).toLocaleString();
+    button.addEventListener('click', () => useResult(entry));
+    
+    item.appendChild(button);
+    historyList.appendChild(item);
+  });
+  
+  historyClearButton.disabled = calculationHistory.length === 0;
+  historyExportButton.disabled = calculationHistory.length === 0;
+}
+
+// Clicking a line (or Use result in the converter) puts its result back as
+// the current number, e.g. 2+ then a line with 14 gives 2+14. Like a result,
+// typing a digit replaces it
+function useResult(entry) {
+  console.log('📜 Using result:', entry.result);
+  
+  const result = convertResult(entry);
+  
+  // VALIDATION: A decimal result can't go into programmer mode
+  if (result === null) {
+    showStatus('Only whole numbers can be used in programmer mode');
+    return;
+  }
+  
+  showStatus('');
+  currentInput = result;
+  shouldResetDisplay = true;
+  showExpression();
+}
+
+// The result written the way the calculator is set up now, e.g. FF (HEX)
+// becomes 255 in standard mode. null if it can't be. An entry without a base
+// holds a decimal
+function convertResult(entry) {
+  const from = entry.base || null;
+  const to = settings.programmer ? settings.base : null;
+  
+  let value;
+  if (from === null) {
+    const decimal = DecimalMath.parse(entry.result);
+    if (to === null) {
+      return entry.result;
+    }
+    if (!DecimalMath.isInteger(decimal)) {
+      return null;
+    }
+    value = BigInt(DecimalMath.toPlainString(decimal));
+  } else {
+    value = ProgrammerMath.parse(entry.result, from, entry.wordSize || settings.wordSize);
+  }
+  
+  return to === null ? value.toString() : ProgrammerMath.format(value, to, settings.wordSize);
+}
+
+// Downloads the tape as a text file, oldest calculation first
+function exportHistory() {
+  const text = calculationHistory.slice().reverse().map(formatHistoryLine).join('\n');
+  const url = URL.createObjectURL(new Blob([text + '\n'], { type: 'text/plain' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `calculator-history-${new Date().toISOString().slice(0, 10)}.txt`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+  
+  console.log('📤 History exported:', calculationHistory.length, 'lines');
+}
+
+historyClearButton.addEventListener('click', clearHistory);
+historyExportButton.addEventListener('click', exportHistory);
+
+// ========================================
+// STEP 19: SETTINGS
+// ========================================
+function saveSettings() {
+  try {
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.error('❌ Failed to save settings:', error);
+  }
+}
+
+function loadSettings() {
+  const defaults = { ...settings };
+  
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY)) || {};
+    
+    // VALIDATION: Only keep values we still offer
+    return {
+      precision: PRECISION_OPTIONS.includes(saved.precision) ? saved.precision : defaults.precision,
+      rounding: saved.rounding in ROUNDING_LABELS ? saved.rounding : defaults.rounding,
+      scientific: typeof saved.scientific === 'boolean' ? saved.scientific : defaults.scientific,
+      angleUnit: saved.angleUnit === 'deg' || saved.angleUnit === 'rad' ? saved.angleUnit : defaults.angleUnit,
+      programmer: typeof saved.programmer === 'boolean' ? saved.programmer : defaults.programmer,
+      base: saved.base in ProgrammerMath.BASES ? saved.base : defaults.base,
+      wordSize: ProgrammerMath.WORD_SIZES.includes(saved.wordSize) ? saved.wordSize : defaults.wordSize,
+      converter: typeof saved.converter === 'boolean' ? saved.converter : defaults.converter,
+      // Units are checked once the list is known, see renderConversionUnits()
+      conversion: saved.conversion && CONVERSION_CATEGORIES.includes(saved.conversion.category)
+        ? { ...defaults.conversion, ...saved.conversion }
+        : defaults.conversion,
+    };
+  } catch (error) {
+    console.error('❌ Failed to load settings:', error);
+    return defaults;
+  }
+}
+
+function renderSettings() {
+  PRECISION_OPTIONS.forEach((digits) => {
+    precisionSelect.add(new Option(`${digits} digits`, digits));
+  });
+  Object.entries(ROUNDING_LABELS).forEach(([mode, label]) => {
+    roundingSelect.add(new Option(label, mode));
+  });
+  
+  ProgrammerMath.WORD_SIZES.forEach((bits) => {
+    wordSizeSelect.add(new Option(`${bits}-bit`, bits));
+  });
+  
+  precisionSelect.value = settings.precision;
+  roundingSelect.value = settings.rounding;
+  wordSizeSelect.value = settings.wordSize;
+}
+
+precisionSelect.addEventListener('change', () => {
+  settings.precision = Number(precisionSelect.value);
+  console.log('⚙️ Precision changed:', settings.precision);
+  saveSettings();
+  renderConversion();
+});
+
+roundingSelect.addEventListener('change', () => {
+  settings.rounding = roundingSelect.value;
+  console.log('⚙️ Rounding changed:', settings.rounding);
+  saveSettings();
+  renderConversion();
+});
+
 // ========================================
-// STEP 11: INITIALIZE
+// STEP 20: INITIALIZE
 // ========================================
+settings = loadSettings();
+currencyRates = loadCurrencyRates();
+renderSettings();
+renderConversionCategories();
+renderConversionUnits();
+renderCurrencyRates();
+applyModes();
+renderAngleUnit();
+setInverse(false);
+calculationHistory = loadHistory();
+renderHistory();
+updateMemoryIndicator();
 updateDisplay('0');
+renderConversion();
 console.log('🚀 Calculator initialized and ready!');
\ No newline at end of file
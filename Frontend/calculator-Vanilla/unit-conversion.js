@@ -0,0 +1,228 @@
+// ========================================
+// UNIT CONVERSION
+// ========================================
+// Converts a DecimalMath value from one unit to another of the same kind.
+// Every unit says how to get to the base unit of its category:
+//
+//   base = (value + offset) × factor ÷ divisor
+//
+// Most units only need a factor (1 km is 1000 m). The divisor keeps factors
+// like 5/9 for °F exact, the offset is for temperatures that don't start at 0.
+//
+//   const km = DecimalMath.parse('5');
+//   DecimalMath.toString(UnitConversion.convert(km, 'length', 'km', 'mi')); // '3.1068559611866...'
+//
+// Currencies work the same way, with units made from a rates table
+// (see currencyCategory()), so only convert() does the maths.
+const UnitConversion = (() => {
+  const Decimal = typeof DecimalMath !== 'undefined' ? DecimalMath : require('./decimal-math.js');
+
+  // Base units: metre, kilogram, kelvin, litre, byte and second.
+  // Imperial and US units use their exact legal definitions.
+  const CATEGORIES = {
+    length: {
+      label: 'Length',
+      units: {
+        mm: { label: 'Millimetre (mm)', factor: '0.001' },
+        cm: { label: 'Centimetre (cm)', factor: '0.01' },
+        m: { label: 'Metre (m)', factor: '1' },
+        km: { label: 'Kilometre (km)', factor: '1000' },
+        in: { label: 'Inch (in)', factor: '0.0254' },
+        ft: { label: 'Foot (ft)', factor: '0.3048' },
+        yd: { label: 'Yard (yd)', factor: '0.9144' },
+        mi: { label: 'Mile (mi)', factor: '1609.344' },
+        nmi: { label: 'Nautical mile (nmi)', factor: '1852' },
+      },
+    },
+    mass: {
+      label: 'Mass',
+      units: {
+        mg: { label: 'Milligram (mg)', factor: '0.000001' },
+        g: { label: 'Gram (g)', factor: '0.001' },
+        kg: { label: 'Kilogram (kg)', factor: '1' },
+        t: { label: 'Tonne (t)', factor: '1000' },
+        oz: { label: 'Ounce (oz)', factor: '0.028349523125' },
+        lb: { label: 'Pound (lb)', factor: '0.45359237' },
+        st: { label: 'Stone (st)', factor: '6.35029318' },
+      },
+    },
+    temperature: {
+      label: 'Temperature',
+      units: {
+        C: { label: 'Celsius (°C)', factor: '1', offset: '273.15' },
+        F: { label: 'Fahrenheit (°F)', factor: '5', divisor: '9', offset: '459.67' },
+        K: { label: 'Kelvin (K)', factor: '1' },
+      },
+    },
+    volume: {
+      label: 'Volume',
+      units: {
+        ml: { label: 'Millilitre (ml)', factor: '0.001' },
+        l: { label: 'Litre (l)', factor: '1' },
+        m3: { label: 'Cubic metre (m³)', factor: '1000' },
+        tsp: { label: 'Teaspoon (US)', factor: '0.00492892159375' },
+        tbsp: { label: 'Tablespoon (US)', factor: '0.01478676478125' },
+        floz: { label: 'Fluid ounce (US)', factor: '0.0295735295625' },
+        cup: { label: 'Cup (US)', factor: '0.2365882365' },
+        pt: { label: 'Pint (US)', factor: '0.473176473' },
+        gal: { label: 'Gallon (US)', factor: '3.785411784' },
+        galUK: { label: 'Gallon (UK)', factor: '4.54609' },
+      },
+    },
+    data: {
+      label: 'Data size',
+      units: {
+        bit: { label: 'Bit', factor: '1', divisor: '8' },
+        B: { label: 'Byte (B)', factor: '1' },
+        kB: { label: 'Kilobyte (kB)', factor: '1000' },
+        MB: { label: 'Megabyte (MB)', factor: '1000000' },
+        GB: { label: 'Gigabyte (GB)', factor: '1000000000' },
+        TB: { label: 'Terabyte (TB)', factor: '1000000000000' },
+        KiB: { label: 'Kibibyte (KiB)', factor: '1024' },
+        MiB: { label: 'Mebibyte (MiB)', factor: '1048576' },
+        GiB: { label: 'Gibibyte (GiB)', factor: '1073741824' },
+        TiB: { label: 'Tebibyte (TiB)', factor: '1099511627776' },
+      },
+    },
+    time: {
+      label: 'Time',
+      units: {
+        ms: { label: 'Millisecond (ms)', factor: '0.001' },
+        s: { label: 'Second (s)', factor: '1' },
+        min: { label: 'Minute (min)', factor: '60' },
+        h: { label: 'Hour (h)', factor: '3600' },
+        d: { label: 'Day', factor: '86400' },
+        wk: { label: 'Week', factor: '604800' },
+        yr: { label: 'Year (365.25 days)', factor: '31557600' },
+      },
+    },
+  };
+
+  // Only an example to start from, not today's rates: edit them or import your own.
+  // Each rate is how much of that currency one unit of the base currency buys.
+  const DEFAULT_RATES = {
+    base: 'USD',
+    rates: {
+      USD: '1',
+      EUR: '0.92',
+      GBP: '0.79',
+      JPY: '150',
+      CHF: '0.88',
+      CAD: '1.36',
+      AUD: '1.52',
+    },
+  };
+
+  const CURRENCY_CODE = /^[A-Z]{3}$/;
+
+  // ========================================
+  // STEP 1: CONVERT
+  // ========================================
+  // Everything is multiplied first and divided once at the end, so units with
+  // exact factors give exact results: 1 mi is exactly 1.609344 km
+  function convert(value, category, from, to, options = {}) {
+    const units = typeof category === 'string' ? CATEGORIES[category].units : category.units;
+    const source = readUnit(units, from);
+    const target = readUnit(units, to);
+
+    const inBase = Decimal.multiply(Decimal.add(value, source.offset), source.factor);
+    const numerator = Decimal.multiply(inBase, target.divisor);
+    const denominator = Decimal.multiply(source.divisor, target.factor);
+
+    return Decimal.subtract(Decimal.divide(numerator, denominator, options), target.offset);
+  }
+
+  // A unit's numbers as decimals, with the defaults filled in
+  function readUnit(units, name) {
+    const unit = units[name];
+
+    // VALIDATION: Both units must be in the category
+    if (!unit) {
+      throw new RangeError(`Unknown unit: ${name}`);
+    }
+
+    return {
+      factor: Decimal.parse(unit.factor),
+      divisor: Decimal.parse(unit.divisor || '1'),
+      offset: Decimal.parse(unit.offset || '0'),
+    };
+  }
+
+  // ========================================
+  // STEP 2: CURRENCY
+  // ========================================
+  // A category like the ones above, one unit per currency in the table
+  function currencyCategory(table) {
+    const units = {};
+    Object.entries(table.rates).forEach(([code, rate]) => {
+      units[code] = { label: code, factor: '1', divisor: rate };
+    });
+    return { label: 'Currency', units };
+  }
+
+  // Checks a rates table (parsed JSON) and returns a clean copy. Takes
+  // { "base": "USD", "rates": { "EUR": 0.92, ... } }, the shape most exchange
+  // rate services give, or just the rates on their own (then the base is USD)
+  function normalizeRates(data) {
+    // VALIDATION: Must be an object
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+      throw new SyntaxError('Rates must be a JSON object');
+    }
+
+    const hasBase = typeof data.rates === 'object' && data.rates !== null;
+    const base = hasBase && typeof data.base === 'string' ? data.base.toUpperCase() : DEFAULT_RATES.base;
+    const entries = Object.entries(hasBase ? data.rates : data);
+
+    // VALIDATION: Three letter codes like EUR
+    if (!CURRENCY_CODE.test(base)) {
+      throw new SyntaxError(`Not a currency code: ${base}`);
+    }
+
+    const rates = { [base]: '1' };
+    entries.forEach(([code, rate]) => {
+      const upper = code.toUpperCase();
+      if (!CURRENCY_CODE.test(upper)) {
+        throw new SyntaxError(`Not a currency code: ${code}`);
+      }
+      if (upper !== base) {
+        rates[upper] = normalizeRate(rate, upper);
+      }
+    });
+
+    // VALIDATION: Nothing to convert between
+    if (Object.keys(rates).length < 2) {
+      throw new SyntaxError('Rates need at least two currencies');
+    }
+
+    return { base, rates };
+  }
+
+  // '0.92' or 0.92 -> '0.92'. Throws for anything that isn't above 0
+  function normalizeRate(rate, code) {
+    let value;
+    try {
+      value = typeof rate === 'number' ? Decimal.fromNumber(rate) : Decimal.parse(rate);
+    } catch (error) {
+      throw new SyntaxError(`Rate for ${code} is not a number`);
+    }
+
+    if (Decimal.compare(value, Decimal.ZERO) <= 0) {
+      throw new SyntaxError(`Rate for ${code} must be above 0`);
+    }
+    return Decimal.toString(value);
+  }
+
+  return {
+    CATEGORIES,
+    DEFAULT_RATES,
+    CURRENCY_CODE,
+    convert,
+    currencyCategory,
+    normalizeRates,
+    normalizeRate,
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = UnitConversion;
+}
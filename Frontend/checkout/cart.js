@@ -0,0 +1,173 @@
+/* ----------------------------- Cart ----------------------------- */
+// UI-free shopping cart for the Coffee Masters checkout. No DOM, no storage:
+// create a cart, change it, read back the items and totals, or listen for changes.
+//
+// Money is always whole cents (335 is $3.35), so totals are added up exactly
+// and never pick up floating point errors like 0.1 + 0.2. Only formatCents()
+// turns cents into text.
+//
+//   const cart = CoffeeCart.createCart({ items: [{ name: 'Cappuccino', unitPrice: 335, quantity: 2 }] });
+//   cart.on('change', ({ state }) => console.log(state.totals));
+//   cart.setQuantity(cart.getState().items[0].id, 3);
+//   cart.getState().totals; // { subtotal: 1005, tax: 80, total: 1085 }
+const CoffeeCart = (() => {
+    // Sales tax in basis points (hundredths of a percent), 800 is 8%
+    const DEFAULT_TAX_RATE = 800;
+    const MAX_QUANTITY = 99;
+
+    /* ----------------------------- Money ----------------------------- */
+    // Half a cent or more rounds up, like a till
+    function calculateTax(subtotal, taxRate) {
+        return Math.round(subtotal * taxRate / 10000);
+    }
+
+    function calculateTotals(items, taxRate) {
+        const subtotal = items.reduce((sum, item) => sum + item.unitPrice * item.quantity, 0);
+        const tax = calculateTax(subtotal, taxRate);
+        return { subtotal, tax, total: subtotal + tax };
+    }
+
+    // 1085 -> '$10.85', built from the digits so nothing is ever rounded
+    function formatCents(cents) {
+        const sign = cents < 0 ? '-' : '';
+        const digits = String(Math.abs(cents)).padStart(3, '0');
+        return `${sign}$${digits.slice(0, -2)}.${digits.slice(-2)}`;
+    }
+
+    /* ----------------------------- Items ----------------------------- */
+    function isValidQuantity(quantity) {
+        return Number.isInteger(quantity) && quantity >= 1 && quantity <= MAX_QUANTITY;
+    }
+
+    function isValidItem(item) {
+        return Boolean(item) &&
+            typeof item.name === 'string' && item.name !== '' &&
+            Number.isSafeInteger(item.unitPrice) && item.unitPrice >= 0 &&
+            isValidQuantity(item.quantity) &&
+            (item.options === undefined ||
+                (Array.isArray(item.options) && item.options.every(option => typeof option === 'string')));
+    }
+
+    /* ----------------------------- Cart ----------------------------- */
+    // `items` are { name, unitPrice, quantity, options } with unitPrice in cents;
+    // options are the extras shown under the name, e.g. ['Lite Milk'].
+    // Items keep their id if they have one, e.g. when a saved cart is restored.
+    function createCart({ items = [], taxRate = DEFAULT_TAX_RATE } = {}) {
+        if (!Number.isInteger(taxRate) || taxRate < 0) {
+            throw new Error('A cart needs a tax rate of 0 or more basis points');
+        }
+
+        const listeners = {};
+        let nextId = 1;
+        let cartItems = [];
+
+        function emit(eventName, payload) {
+            (listeners[eventName] || []).forEach(listener => listener(payload));
+        }
+
+        function createId() {
+            let id;
+            do {
+                id = `item-${nextId++}`;
+            } while (cartItems.some(item => item.id === id));
+            return id;
+        }
+
+        function getState() {
+            return {
+                items: cartItems.map(item => ({ ...item, options: [...item.options], lineTotal: item.unitPrice * item.quantity })),
+                itemCount: cartItems.reduce((count, item) => count + item.quantity, 0),
+                taxRate,
+                totals: calculateTotals(cartItems, taxRate)
+            };
+        }
+
+        function changed(change) {
+            emit('change', { change, state: getState() });
+        }
+
+        // Returns { accepted: true, id } or { accepted: false, reason: 'invalid-item' }
+        function addItem(item) {
+            if (!isValidItem(item)) {
+                return { accepted: false, reason: 'invalid-item' };
+            }
+
+            const id = typeof item.id === 'string' && !cartItems.some(existing => existing.id === item.id)
+                ? item.id
+                : createId();
+            cartItems.push({
+                id,
+                name: item.name,
+                unitPrice: item.unitPrice,
+                quantity: item.quantity,
+                options: [...(item.options || [])]
+            });
+
+            changed({ type: 'add', id });
+            return { accepted: true, id };
+        }
+
+        // Returns { accepted: true } or { accepted: false, reason }
+        // where reason is 'unknown-item' or 'invalid-quantity' (1 to MAX_QUANTITY)
+        function setQuantity(id, quantity) {
+            const item = cartItems.find(cartItem => cartItem.id === id);
+
+            if (!item) {
+                return { accepted: false, reason: 'unknown-item' };
+            }
+            if (!isValidQuantity(quantity)) {
+                return { accepted: false, reason: 'invalid-quantity' };
+            }
+
+            item.quantity = quantity;
+            changed({ type: 'quantity', id });
+            return { accepted: true };
+        }
+
+        // Returns { accepted: true } or { accepted: false, reason: 'unknown-item' }
+        function removeItem(id) {
+            if (!cartItems.some(item => item.id === id)) {
+                return { accepted: false, reason: 'unknown-item' };
+            }
+
+            cartItems = cartItems.filter(item => item.id !== id);
+            changed({ type: 'remove', id });
+            return { accepted: true };
+        }
+
+        // Events: 'change' ({ change: { type: 'add' | 'quantity' | 'remove', id }, state }).
+        // Returns a function that removes the listener again.
+        function on(eventName, listener) {
+            listeners[eventName] = listeners[eventName] || [];
+            listeners[eventName].push(listener);
+            return () => {
+                listeners[eventName] = listeners[eventName].filter(fn => fn !== listener);
+            };
+        }
+
+        // Add the starting items before anyone is listening, broken ones are skipped
+        items.forEach(addItem);
+
+        return {
+            getState,
+            addItem,
+            setQuantity,
+            removeItem,
+            on
+        };
+    }
+
+    return {
+        DEFAULT_TAX_RATE,
+        MAX_QUANTITY,
+        calculateTax,
+        calculateTotals,
+        formatCents,
+        isValidItem,
+        createCart
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CoffeeCart;
+}
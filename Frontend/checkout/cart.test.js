@@ -0,0 +1,76 @@
+// Run with: node --test Frontend/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CoffeeCart = require('./cart.js');
+
+const cappuccino = { name: 'Cappuccino', unitPrice: 335, quantity: 1, options: ['Lite Milk'] };
+
+/* ----------------------------- Money ----------------------------- */
+test('totals add up in whole cents', () => {
+    const cart = CoffeeCart.createCart({ items: [cappuccino, { ...cappuccino, quantity: 2 }] });
+
+    assert.deepEqual(cart.getState().totals, { subtotal: 1005, tax: 80, total: 1085 });
+});
+
+test('cents never pick up floating point errors', () => {
+    // 0.1 + 0.2 in dollars
+    const cart = CoffeeCart.createCart({
+        items: [{ name: 'A', unitPrice: 10, quantity: 1 }, { name: 'B', unitPrice: 20, quantity: 1 }],
+        taxRate: 0
+    });
+
+    assert.deepEqual(cart.getState().totals, { subtotal: 30, tax: 0, total: 30 });
+    assert.equal(CoffeeCart.formatCents(30), '$0.30');
+});
+
+test('tax rounds half a cent or more up', () => {
+    // 8% of 1005 is 80.4, of 1006 is 80.48 and of 1013 is 81.04
+    assert.equal(CoffeeCart.calculateTax(1005, 800), 80);
+    assert.equal(CoffeeCart.calculateTax(1006, 800), 80);
+    assert.equal(CoffeeCart.calculateTax(1013, 800), 81);
+    // 0.08% of 625 is exactly half a cent
+    assert.equal(CoffeeCart.calculateTax(625, 8), 1);
+});
+
+test('formatCents writes dollars and cents', () => {
+    assert.equal(CoffeeCart.formatCents(0), '$0.00');
+    assert.equal(CoffeeCart.formatCents(5), '$0.05');
+    assert.equal(CoffeeCart.formatCents(123456), '$1234.56');
+    assert.equal(CoffeeCart.formatCents(-150), '-$1.50');
+});
+
+/* ----------------------------- Quantities ----------------------------- */
+test('quantities stay between 1 and MAX_QUANTITY', () => {
+    const cart = CoffeeCart.createCart({ items: [cappuccino] });
+    const { id } = cart.getState().items[0];
+
+    assert.deepEqual(cart.setQuantity(id, CoffeeCart.MAX_QUANTITY), { accepted: true });
+    assert.deepEqual(cart.setQuantity(id, CoffeeCart.MAX_QUANTITY + 1), { accepted: false, reason: 'invalid-quantity' });
+    assert.deepEqual(cart.setQuantity(id, 0), { accepted: false, reason: 'invalid-quantity' });
+    assert.deepEqual(cart.setQuantity(id, 2.5), { accepted: false, reason: 'invalid-quantity' });
+    assert.equal(cart.getState().items[0].quantity, CoffeeCart.MAX_QUANTITY);
+});
+
+test('unknown items and broken items are refused', () => {
+    const cart = CoffeeCart.createCart({ items: [cappuccino, { name: '', unitPrice: 100, quantity: 1 }] });
+
+    assert.equal(cart.getState().items.length, 1);
+    assert.deepEqual(cart.setQuantity('nope', 2), { accepted: false, reason: 'unknown-item' });
+    assert.deepEqual(cart.removeItem('nope'), { accepted: false, reason: 'unknown-item' });
+    assert.deepEqual(cart.addItem({ name: 'Latte', unitPrice: -1, quantity: 1 }), { accepted: false, reason: 'invalid-item' });
+});
+
+/* ----------------------------- Events ----------------------------- */
+test('every change is announced with the new totals', () => {
+    const cart = CoffeeCart.createCart();
+    const changes = [];
+    const stopListening = cart.on('change', ({ change, state }) => changes.push([change.type, state.totals.total]));
+
+    const { id } = cart.addItem(cappuccino);
+    cart.setQuantity(id, 2);
+    cart.removeItem(id);
+    stopListening();
+    cart.addItem(cappuccino);
+
+    assert.deepEqual(changes, [['add', 362], ['quantity', 724], ['remove', 0]]);
+});
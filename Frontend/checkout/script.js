@@ -0,0 +1,242 @@
+/* ----------------------------- Elements ----------------------------- */
+const ui = {
+    itemList: document.querySelector('.item-list'),
+    emptyCart: document.querySelector('.empty-cart'),
+    subtotal: document.querySelector('#subtotal-amount'),
+    tax: document.querySelector('#tax-amount'),
+    total: document.querySelector('#total-amount'),
+    placeOrder: document.querySelector('.place-order')
+};
+
+// What a new visitor finds in the cart, prices in cents
+const DEFAULT_ITEMS = [
+    { name: 'Cappuccino', unitPrice: 335, quantity: 1, options: ['Lite Milk', 'Double espresso'] },
+    { name: 'Cappuccino', unitPrice: 335, quantity: 2, options: ['Lite Milk'] }
+];
+
+/* ----------------------------- Local Storage ----------------------------- */
+function saveToStorage(key, data) {
+    try {
+        localStorage.setItem(key, JSON.stringify(data));
+        return true;
+    } catch (error) {
+        console.error('❌ Failed to save to storage:', error);
+        return false;
+    }
+}
+
+function loadFromStorage(key, defaultValue = null) {
+    try {
+        const data = localStorage.getItem(key);
+        return data ? JSON.parse(data) : defaultValue;
+    } catch (error) {
+        console.error('❌ Failed to load from storage:', error);
+        return defaultValue;
+    }
+}
+
+function clearStorage(key) {
+    try {
+        localStorage.removeItem(key);
+    } catch (error) {
+        console.error('❌ Failed to clear storage:', error);
+    }
+}
+
+/* ----------------------------- Saved Cart ----------------------------- */
+const CART_KEY = 'coffee-masters:cart';
+// Bump this whenever the shape of the saved cart changes,
+// so carts saved by an older version are thrown away instead of loaded
+const CART_VERSION = 1;
+
+function saveCart(state) {
+    const saved = saveToStorage(CART_KEY, {
+        version: CART_VERSION,
+        savedAt: Date.now(),
+        // lineTotal is left out, it is worked out again from the price and quantity
+        items: state.items.map(({ id, name, unitPrice, quantity, options }) => ({ id, name, unitPrice, quantity, options }))
+    });
+
+    if (saved) {
+        console.log('💾 Cart saved with', state.itemCount, 'items');
+    }
+    return saved;
+}
+
+// Returns the saved items, or null if there is no saved cart.
+// Corrupt or outdated data is removed so it can't break the next load.
+// An empty list is a cart the customer emptied, not a missing one.
+function loadSavedItems() {
+    const saved = loadFromStorage(CART_KEY);
+
+    if (!saved || saved.version !== CART_VERSION || !Array.isArray(saved.items) ||
+        !saved.items.every(CoffeeCart.isValidItem)) {
+        if (saved !== null) {
+            console.warn('⚠️ Discarding invalid saved cart:', saved);
+        }
+        clearStorage(CART_KEY);
+        return null;
+    }
+
+    console.log('💾 Saved cart found with', saved.items.length, 'lines');
+    return saved.items;
+}
+
+/* ----------------------------- Rendering ----------------------------- */
+// One .item-card per cart line, e.g. "2x Cappuccino $6.70" with its options
+// and the controls to change the quantity or remove it
+function createItemCard(item) {
+    const card = document.createElement('ul');
+    card.className = 'item-card';
+    card.dataset.id = item.id;
+
+    const line = document.createElement('li');
+
+    const heading = document.createElement('h4');
+    heading.className = 'item-name';
+
+    const title = document.createElement('span');
+    const count = document.createElement('span');
+    count.className = 'item-count';
+    count.textContent = `${item.quantity}x`;
+    title.append(count, ` ${item.name}`);
+
+    const amount = document.createElement('span');
+    amount.className = 'item-amount';
+    amount.textContent = CoffeeCart.formatCents(item.lineTotal);
+
+    heading.append(title, amount);
+    line.appendChild(heading);
+
+    if (item.options.length > 0) {
+        const options = document.createElement('ul');
+        options.className = 'ingredients';
+        item.options.forEach(option => {
+            const label = document.createElement('li');
+            label.className = 'ingredient-label';
+            label.textContent = option;
+            options.appendChild(label);
+        });
+        line.appendChild(options);
+    }
+
+    line.appendChild(createItemControls(item));
+    card.appendChild(line);
+    return card;
+}
+
+function createItemControls(item) {
+    const controls = document.createElement('div');
+    controls.className = 'item-controls';
+
+    const decrease = document.createElement('button');
+    decrease.type = 'button';
+    decrease.className = 'quantity-btn';
+    decrease.dataset.action = 'decrease';
+    decrease.textContent = '−';
+    decrease.disabled = item.quantity <= 1;
+    decrease.setAttribute('aria-label', `One less ${item.name}`);
+
+    const quantity = document.createElement('input');
+    quantity.type = 'number';
+    quantity.className = 'quantity-input';
+    quantity.dataset.action = 'quantity';
+    quantity.min = 1;
+    quantity.max = CoffeeCart.MAX_QUANTITY;
+    quantity.value = item.quantity;
+    quantity.setAttribute('aria-label', `${item.name} quantity`);
+
+    const increase = document.createElement('button');
+    increase.type = 'button';
+    increase.className = 'quantity-btn';
+    increase.dataset.action = 'increase';
+    increase.textContent = '+';
+    increase.disabled = item.quantity >= CoffeeCart.MAX_QUANTITY;
+    increase.setAttribute('aria-label', `One more ${item.name}`);
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'remove-btn';
+    remove.dataset.action = 'remove';
+    remove.textContent = 'Remove';
+    remove.setAttribute('aria-label', `Remove ${item.name}`);
+
+    controls.append(decrease, quantity, increase, remove);
+    return controls;
+}
+
+function renderCart(state) {
+    // The list is rebuilt on every change, so remember which control had focus
+    // and give it back afterwards for keyboard users
+    const focused = document.activeElement && document.activeElement.closest('.item-card [data-action]');
+    const focusedId = focused && focused.closest('.item-card').dataset.id;
+    const focusedAction = focused && focused.dataset.action;
+
+    ui.itemList.replaceChildren(...state.items.map(createItemCard));
+    ui.emptyCart.hidden = state.items.length > 0;
+    ui.placeOrder.disabled = state.items.length === 0;
+
+    ui.subtotal.textContent = CoffeeCart.formatCents(state.totals.subtotal);
+    ui.tax.textContent = CoffeeCart.formatCents(state.totals.tax);
+    ui.total.textContent = CoffeeCart.formatCents(state.totals.total);
+
+    if (focusedId) {
+        const card = ui.itemList.querySelector(`.item-card[data-id="${focusedId}"]`);
+        const control = card && card.querySelector(`[data-action="${focusedAction}"]`);
+        // A button that just got disabled (− at 1) hands focus to the quantity,
+        // a removed line takes its controls with it and the list gets focus
+        if (control && !control.disabled) {
+            control.focus();
+        } else {
+            (card ? card.querySelector('.quantity-input') : ui.itemList).focus();
+        }
+    }
+}
+
+/* ----------------------------- Cart ----------------------------- */
+const cart = CoffeeCart.createCart({ items: loadSavedItems() ?? DEFAULT_ITEMS });
+
+cart.on('change', ({ change, state }) => {
+    console.log('🛒 Cart changed:', change.type, change.id, state.totals);
+    saveCart(state);
+    renderCart(state);
+});
+
+function findItem(id) {
+    return cart.getState().items.find(item => item.id === id);
+}
+
+// +, − and Remove on any card
+ui.itemList.addEventListener('click', (event) => {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+
+    const id = button.closest('.item-card').dataset.id;
+    const item = findItem(id);
+    if (!item) return;
+
+    if (button.dataset.action === 'increase') {
+        cart.setQuantity(id, item.quantity + 1);
+    } else if (button.dataset.action === 'decrease') {
+        cart.setQuantity(id, item.quantity - 1);
+    } else if (button.dataset.action === 'remove') {
+        cart.removeItem(id);
+    }
+});
+
+// A typed quantity counts once the field is left or Enter is pressed
+ui.itemList.addEventListener('change', (event) => {
+    if (!event.target.matches('.quantity-input')) return;
+
+    const id = event.target.closest('.item-card').dataset.id;
+    const result = cart.setQuantity(id, Number(event.target.value));
+
+    // Anything outside 1 to MAX_QUANTITY puts the old quantity back
+    if (!result.accepted) {
+        console.warn('⚠️ Quantity not changed:', result.reason, event.target.value);
+        renderCart(cart.getState());
+    }
+});
+
+renderCart(cart.getState());
+console.log('🚀 Checkout ready:', cart.getState().totals);
@@ -0,0 +1,164 @@
+/* ----------------------------- Word Game Engine ----------------------------- */
+// UI-free rules for the word guessing games (Wordie and Word Masters).
+// No DOM, no fetch, no storage: create a game, submit guesses, get back the
+// evaluation and the win/loss status, or listen for events.
+//
+//   const game = WordGameEngine.createWordGame({ secretWord: 'CRANE', maxGuesses: 6 });
+//   game.on('win', ({ state }) => console.log('Solved in', state.guesses.length));
+//   game.submitGuess('TRACE'); // { accepted: true, guess: { word, result }, status: 'playing' }
+const WordGameEngine = (() => {
+    const STATUS = {
+        PLAYING: 'playing',
+        WON: 'won',
+        LOST: 'lost'
+    };
+
+    /* ----------------------------- Letters ----------------------------- */
+    // Words are compared letter by letter, so both sides have to be written the same way:
+    //   - NFC turns a letter typed as two characters (e + combining accent) into one (é)
+    //   - letters are uppercased one at a time, and a letter without a single-letter
+    //     capital (German ß -> SS) is kept as it is, so a word never changes length
+    // locale picks the casing rules, e.g. 'tr' uppercases i to İ.
+    function normalizeWord(word, locale) {
+        return Array.from(String(word).normalize('NFC'))
+            .map(letter => {
+                const upper = letter.toLocaleUpperCase(locale);
+                return upper.length === letter.length ? upper : letter;
+            })
+            .join('');
+    }
+
+    /* ----------------------------- Scoring ----------------------------- */
+    // One of 'correct' | 'present' | 'absent' per letter of the guess.
+    // Repeated letters are only marked as often as they occur in the secret word,
+    // and correct positions claim their letter before any 'present' marks.
+    // Both words should already be normalized (see normalizeWord).
+    function scoreGuess(guess, secretWord) {
+        const result = [];
+        const secretArray = Array.from(secretWord);
+        const guessArray = Array.from(guess);
+
+        // Letters of the secret word that are still available for 'present' marks
+        const secretLetterCount = {};
+        secretArray.forEach(letter => {
+            secretLetterCount[letter] = (secretLetterCount[letter] || 0) + 1;
+        });
+
+        // First pass: correct positions (green)
+        for (let i = 0; i < guessArray.length; i++) {
+            if (guessArray[i] === secretArray[i]) {
+                result[i] = 'correct';
+                secretLetterCount[guessArray[i]]--;
+            }
+        }
+
+        // Second pass: wrong positions (yellow) and missing letters (grey)
+        for (let i = 0; i < guessArray.length; i++) {
+            if (result[i] === 'correct') continue;
+
+            if (secretLetterCount[guessArray[i]] > 0) {
+                result[i] = 'present';
+                secretLetterCount[guessArray[i]]--;
+            } else {
+                result[i] = 'absent';
+            }
+        }
+
+        return result;
+    }
+
+    function isWinningResult(result) {
+        return result.every(state => state === 'correct');
+    }
+
+    /* ----------------------------- Game ----------------------------- */
+    // `guesses` replays earlier guess words, e.g. to resume a saved game.
+    // `locale` is the language of the words, used when normalizing them.
+    function createWordGame({ secretWord, maxGuesses = 6, guesses = [], locale }) {
+        if (typeof secretWord !== 'string' || secretWord.length === 0) {
+            throw new Error('A word game needs a secret word');
+        }
+
+        const secret = normalizeWord(secretWord, locale);
+        const secretLength = Array.from(secret).length;
+        const history = [];
+        const listeners = {};
+        let status = STATUS.PLAYING;
+
+        function emit(eventName, payload) {
+            (listeners[eventName] || []).forEach(listener => listener(payload));
+        }
+
+        function getState() {
+            return {
+                secretWord: secret,
+                wordLength: secretLength,
+                maxGuesses,
+                guesses: history.map(({ word, result }) => ({ word, result: [...result] })),
+                currentRow: history.length,
+                status
+            };
+        }
+
+        // Returns { accepted: true, guess, status } or { accepted: false, reason }
+        // where reason is 'game-over' or 'wrong-length'
+        function submitGuess(word) {
+            const guessWord = normalizeWord(word, locale);
+
+            if (status !== STATUS.PLAYING) {
+                return { accepted: false, reason: 'game-over' };
+            }
+            if (Array.from(guessWord).length !== secretLength) {
+                return { accepted: false, reason: 'wrong-length' };
+            }
+
+            const guess = { word: guessWord, result: scoreGuess(guessWord, secret) };
+            const row = history.length;
+            history.push(guess);
+
+            if (isWinningResult(guess.result)) {
+                status = STATUS.WON;
+            } else if (history.length >= maxGuesses) {
+                status = STATUS.LOST;
+            }
+
+            const state = getState();
+            emit('guess', { guess, row, state });
+            if (status === STATUS.WON) emit('win', { state });
+            if (status === STATUS.LOST) emit('lose', { state });
+
+            return { accepted: true, guess, status };
+        }
+
+        // Events: 'guess' ({ guess, row, state }), 'win' ({ state }), 'lose' ({ state }).
+        // Returns a function that removes the listener again.
+        function on(eventName, listener) {
+            listeners[eventName] = listeners[eventName] || [];
+            listeners[eventName].push(listener);
+            return () => {
+                listeners[eventName] = listeners[eventName].filter(fn => fn !== listener);
+            };
+        }
+
+        // Replay earlier guesses before anyone is listening
+        guesses.forEach(submitGuess);
+
+        return {
+            getState,
+            submitGuess,
+            on
+        };
+    }
+
+    return {
+        STATUS,
+        normalizeWord,
+        scoreGuess,
+        isWinningResult,
+        createWordGame
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WordGameEngine;
+}
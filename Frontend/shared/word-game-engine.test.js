@@ -0,0 +1,45 @@
+// Run with: node --test Frontend/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeWord, scoreGuess, createWordGame, STATUS } = require('./word-game-engine.js');
+
+/* ----------------------------- Scoring ----------------------------- */
+test('scoreGuess marks correct, present and absent letters', () => {
+    assert.deepEqual(scoreGuess('TRACE', 'CRANE'), ['absent', 'correct', 'correct', 'present', 'correct']);
+});
+
+test('scoreGuess lets a correct letter claim it before an earlier repeat', () => {
+    // CRANE has one E, the green one at the end
+    assert.deepEqual(scoreGuess('EERIE', 'CRANE'), ['absent', 'absent', 'present', 'absent', 'correct']);
+});
+
+test('scoreGuess marks a repeated letter only as often as the secret word has it', () => {
+    // SPELT has one E, so only the first E of ERASE is yellow
+    assert.deepEqual(scoreGuess('ERASE', 'SPELT'), ['present', 'absent', 'absent', 'present', 'absent']);
+    // ROBOT has two O's: one green, one yellow
+    assert.deepEqual(scoreGuess('FLOOR', 'ROBOT'), ['absent', 'absent', 'present', 'correct', 'present']);
+});
+
+/* ----------------------------- Letters ----------------------------- */
+test('normalizeWord keeps ß instead of turning it into SS', () => {
+    assert.equal(normalizeWord('größe', 'de'), 'GRÖßE');
+    assert.equal(Array.from(normalizeWord('größe', 'de')).length, 5);
+});
+
+test('normalizeWord joins a letter typed with a combining accent', () => {
+    // o followed by a combining diaeresis
+    assert.equal(normalizeWord('gro\u0308ße', 'de'), 'GRÖßE');
+});
+
+test('normalizeWord uppercases with the rules of the locale', () => {
+    assert.equal(normalizeWord('istanbul', 'tr'), 'İSTANBUL');
+});
+
+/* ----------------------------- Game ----------------------------- */
+test('a game is won by guessing the word, repeated letters and all', () => {
+    const game = createWordGame({ secretWord: 'ROBOT', maxGuesses: 2 });
+
+    assert.equal(game.submitGuess('FLOOR').status, STATUS.PLAYING);
+    assert.equal(game.submitGuess('robot').status, STATUS.WON);
+    assert.deepEqual(game.submitGuess('ROBOT'), { accepted: false, reason: 'game-over' });
+});
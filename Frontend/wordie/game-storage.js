@@ -0,0 +1,164 @@
+/* ----------------------------- Local Storage ----------------------------- */
+function saveToStorage(key, data) {
+    try {
+        localStorage.setItem(key, JSON.stringify(data));
+        return true;
+    } catch (error) {
+        console.error('❌ Failed to save to storage:', error);
+        return false;
+    }
+}
+
+function loadFromStorage(key, defaultValue = null) {
+    try {
+        const data = localStorage.getItem(key);
+        return data ? JSON.parse(data) : defaultValue;
+    } catch (error) {
+        console.error('❌ Failed to load from storage:', error);
+        return defaultValue;
+    }
+}
+
+function clearStorage(key) {
+    try {
+        localStorage.removeItem(key);
+    } catch (error) {
+        console.error('❌ Failed to clear storage:', error);
+    }
+}
+
+/* ----------------------------- Saved Game ----------------------------- */
+const SAVED_GAME_KEY = 'wordie:saved-game';
+// Bump this whenever the shape of the saved state changes,
+// so games saved by an older version are thrown away instead of loaded
+const SAVED_GAME_VERSION = 5;
+
+const TILE_RESULTS = ['correct', 'present', 'absent'];
+
+function saveGame(state) {
+    const saved = saveToStorage(SAVED_GAME_KEY, {
+        version: SAVED_GAME_VERSION,
+        savedAt: Date.now(),
+        state: {
+            // solved is left out, it is worked out again when the guesses are replayed
+            boards: state.boards.map(({ secretWord, puzzleNumber, guesses }) => ({ secretWord, puzzleNumber, guesses })),
+            boardCount: state.boardCount,
+            currentRow: state.currentRow,
+            startedAt: state.startedAt,
+            guessTimes: state.guessTimes,
+            wordLength: state.wordLength,
+            maxGuesses: state.maxGuesses,
+            language: state.language,
+            gameOver: state.gameOver
+        }
+    });
+
+    if (saved) {
+        console.log('💾 Game saved at row', state.currentRow);
+    }
+    return saved;
+}
+
+// Returns the saved game state, or null if there is nothing to resume.
+// Corrupt or outdated data is removed so it can't break the next load.
+function loadSavedGame() {
+    const saved = loadFromStorage(SAVED_GAME_KEY);
+
+    if (!isValidSavedGame(saved)) {
+        if (saved !== null) {
+            console.warn('⚠️ Discarding invalid saved game:', saved);
+        }
+        clearSavedGame();
+        return null;
+    }
+
+    console.log('💾 Saved game found at row', saved.state.currentRow);
+    return saved.state;
+}
+
+function clearSavedGame() {
+    clearStorage(SAVED_GAME_KEY);
+}
+
+function isValidSavedGame(saved) {
+    if (!saved || saved.version !== SAVED_GAME_VERSION || !saved.state) {
+        return false;
+    }
+
+    const { boards, boardCount, currentRow, wordLength, maxGuesses, language, gameOver, startedAt, guessTimes } = saved.state;
+
+    if (!Array.isArray(boards) || boards.length === 0 || boards.length !== boardCount) return false;
+    if (!Number.isInteger(maxGuesses) || maxGuesses < 1) return false;
+    if (!Number.isInteger(currentRow) || currentRow < 0 || currentRow >= maxGuesses) return false;
+    if (!Number.isInteger(startedAt)) return false;
+    if (!Array.isArray(guessTimes) || guessTimes.length !== currentRow) return false;
+    if (!Object.keys(LANGUAGES).includes(language)) return false;
+
+    // Finished games are not resumed
+    if (gameOver !== false) return false;
+    if (boards.every(board => isSolvedBoard(board))) return false;
+
+    return boards.every(board => isValidSavedBoard(board, wordLength, currentRow, language));
+}
+
+function isSolvedBoard({ secretWord, guesses }) {
+    return Array.isArray(guesses) && guesses.length > 0 && guesses[guesses.length - 1].word === secretWord;
+}
+
+// A board stops taking guesses once solved, every other board has one guess per row played
+function isValidSavedBoard(board, wordLength, currentRow, language) {
+    if (!board) return false;
+
+    const { secretWord, guesses } = board;
+
+    if (typeof secretWord !== 'string' || !isAlphabetWord(secretWord, language)) return false;
+    if (secretWord.length !== wordLength) return false;
+    if (!Array.isArray(guesses)) return false;
+
+    const solved = isSolvedBoard(board);
+    if (solved ? guesses.length > currentRow : guesses.length !== currentRow) return false;
+
+    return guesses.every((guess, index) =>
+        guess &&
+        typeof guess.word === 'string' &&
+        guess.word.length === secretWord.length &&
+        // Only the last guess of a solved board may be the secret word
+        (guess.word !== secretWord || (solved && index === guesses.length - 1)) &&
+        Array.isArray(guess.result) &&
+        guess.result.length === secretWord.length &&
+        guess.result.every(result => TILE_RESULTS.includes(result))
+    );
+}
+
+/* ----------------------------- Settings ----------------------------- */
+const SETTINGS_KEY = 'wordie:settings';
+
+const DEFAULT_SETTINGS = {
+    hardMode: false,
+    wordLength: 5,
+    maxGuesses: 6,
+    boardCount: 1,
+    timerMode: 'off',
+    playMode: 'solo',
+    highContrast: false,
+    reducedMotion: false,
+    language: DEFAULT_LANGUAGE
+};
+
+// Unknown or wrongly typed values fall back to the defaults
+function loadSettings() {
+    const saved = loadFromStorage(SETTINGS_KEY, {}) || {};
+    const settings = { ...DEFAULT_SETTINGS };
+
+    Object.keys(DEFAULT_SETTINGS).forEach(key => {
+        if (typeof saved[key] === typeof DEFAULT_SETTINGS[key]) {
+            settings[key] = saved[key];
+        }
+    });
+    return settings;
+}
+
+// Merges the changed settings into the saved ones
+function saveSettings(changes) {
+    return saveToStorage(SETTINGS_KEY, { ...loadSettings(), ...changes });
+}
@@ -0,0 +1,48 @@
+/* ----------------------------- Hard Mode Rules ----------------------------- */
+// In hard mode every revealed hint must be reused:
+//   - a letter marked 'correct' must stay in the same position
+//   - a letter marked 'present' must appear somewhere in the guess
+// Works on the { word, result } history that handleSubmit stores in gameState.guesses.
+// Words are compared as they are, so the guess must already be normalized (see toGameWord).
+
+// 1 -> '1st' in English, '1.' in German
+function ordinal(number) {
+    return t('ordinal', { ordinal: number });
+}
+
+function countLetters(letters) {
+    const counts = {};
+    letters.forEach(letter => {
+        counts[letter] = (counts[letter] || 0) + 1;
+    });
+    return counts;
+}
+
+// Returns a message describing the first broken rule, or null if the guess is allowed
+function getHardModeViolation(guess, previousGuesses) {
+    const guessArray = Array.from(guess);
+    const guessCounts = countLetters(guessArray);
+
+    // Green letters first, they give the most specific message
+    for (const { word, result } of previousGuesses) {
+        for (let i = 0; i < result.length; i++) {
+            if (result[i] === 'correct' && guessArray[i] !== word[i]) {
+                return t('hardModePosition', { position: ordinal(i + 1), letter: word[i] });
+            }
+        }
+    }
+
+    // Every revealed letter must be used at least as many times as it was revealed,
+    // e.g. if a guess showed two yellow E's the next guess needs two E's
+    for (const { word, result } of previousGuesses) {
+        const revealed = countLetters(Array.from(word).filter((_, i) => result[i] !== 'absent'));
+
+        for (const [letter, count] of Object.entries(revealed)) {
+            if ((guessCounts[letter] || 0) < count) {
+                return t('hardModeContains', { count, letter });
+            }
+        }
+    }
+
+    return null;
+}
@@ -0,0 +1,264 @@
+/* ----------------------------- Game History ----------------------------- */
+// Every finished game is archived in localStorage, oldest first:
+//   { id, startedAt, finishedAt, won, wordLength, maxGuesses, language,
+//     mode: { boardCount, timerMode, playMode, hardMode },
+//     boards: [{ secretWord, solved, guesses: [{ word, result, guessedAt }] }] }
+// Timestamps are milliseconds since the epoch. guessedAt is null when it wasn't recorded.
+// Games archived before languages were added have no language and are English.
+const HISTORY_KEY = 'wordie:history';
+// localStorage only holds a few MB, the oldest games are dropped beyond this
+const HISTORY_LIMIT = 500;
+const HISTORY_EXPORT_VERSION = 1;
+
+// hardMode comes from the settings, the game state doesn't keep it
+function createHistoryEntry(state, { won, hardMode, finishedAt = Date.now() }) {
+    return {
+        id: `${finishedAt}-${Math.random().toString(36).slice(2, 8)}`,
+        startedAt: state.startedAt,
+        finishedAt,
+        won,
+        wordLength: state.wordLength,
+        maxGuesses: state.maxGuesses,
+        language: state.language,
+        mode: {
+            boardCount: state.boardCount,
+            timerMode: state.timerMode,
+            playMode: state.playMode,
+            hardMode
+        },
+        // Every board gets the same guess on each row, so row i was played at guessTimes[i]
+        boards: state.boards.map(({ secretWord, solved, guesses }) => ({
+            secretWord,
+            solved,
+            guesses: guesses.map(({ word, result }, row) => ({
+                word,
+                result,
+                guessedAt: state.guessTimes[row] ?? null
+            }))
+        }))
+    };
+}
+
+function isValidHistoryEntry(entry) {
+    if (!entry || typeof entry.id !== 'string') return false;
+    if (!Number.isInteger(entry.startedAt) || !Number.isInteger(entry.finishedAt)) return false;
+    if (typeof entry.won !== 'boolean') return false;
+    if (!Number.isInteger(entry.maxGuesses) || entry.maxGuesses < 1) return false;
+    if (!entry.mode || typeof entry.mode !== 'object') return false;
+    if (entry.language !== undefined && !Object.keys(LANGUAGES).includes(entry.language)) return false;
+    if (!Array.isArray(entry.boards) || entry.boards.length === 0) return false;
+
+    return entry.boards.every(board =>
+        board &&
+        typeof board.secretWord === 'string' &&
+        isAlphabetWord(board.secretWord, entry.language || DEFAULT_LANGUAGE) &&
+        board.secretWord.length === entry.wordLength &&
+        typeof board.solved === 'boolean' &&
+        Array.isArray(board.guesses) &&
+        board.guesses.length <= entry.maxGuesses &&
+        board.guesses.every(guess =>
+            guess &&
+            typeof guess.word === 'string' &&
+            guess.word.length === entry.wordLength &&
+            Array.isArray(guess.result) &&
+            guess.result.length === entry.wordLength &&
+            guess.result.every(result => TILE_RESULTS.includes(result))
+        )
+    );
+}
+
+// Invalid entries are skipped rather than throwing the whole history away
+function loadHistory() {
+    const history = loadFromStorage(HISTORY_KEY, []);
+    return Array.isArray(history) ? history.filter(isValidHistoryEntry) : [];
+}
+
+function saveHistory(history) {
+    return saveToStorage(HISTORY_KEY, history.slice(-HISTORY_LIMIT));
+}
+
+function archiveGame(entry) {
+    const history = loadHistory();
+    history.push(entry);
+    saveHistory(history);
+    console.log('🗄️ Game archived:', entry.id);
+}
+
+/* ----------------------------- Export / Import ----------------------------- */
+function exportHistory() {
+    return JSON.stringify({
+        version: HISTORY_EXPORT_VERSION,
+        exportedAt: Date.now(),
+        games: loadHistory()
+    }, null, 2);
+}
+
+// Merges the games of an exported file into the archive. Games that are already
+// archived (same id) or invalid are skipped. Returns { added, skipped }.
+function importHistory(json) {
+    let data;
+    try {
+        data = JSON.parse(json);
+    } catch (error) {
+        throw new Error(t('importNotJson'));
+    }
+
+    const games = data && data.games;
+    if (!Array.isArray(games)) {
+        throw new Error(t('importNoGames'));
+    }
+
+    const history = loadHistory();
+    const knownIds = new Set(history.map(entry => entry.id));
+    let added = 0;
+
+    games.forEach(entry => {
+        if (!isValidHistoryEntry(entry) || knownIds.has(entry.id)) return;
+
+        knownIds.add(entry.id);
+        history.push(entry);
+        added++;
+    });
+
+    history.sort((a, b) => a.finishedAt - b.finishedAt);
+    saveHistory(history);
+
+    console.log('🗄️ History imported:', added, 'games added');
+    return { added, skipped: games.length - added };
+}
+
+function downloadTextFile(filename, text) {
+    const url = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/* ----------------------------- History Dialog ----------------------------- */
+const historyElements = {
+    dialog: document.querySelector('.history-dialog'),
+    list: document.querySelector('.history-list'),
+    message: document.querySelector('.history-message'),
+    exportButton: document.querySelector('.history-export-btn'),
+    importInput: document.querySelector('.history-import-input'),
+    closeButton: document.querySelector('.history-close-btn')
+};
+
+// e.g. "Won in 4/6 · Countdown · Deutsch · 19 Oct 2026, 14:03"
+function formatHistoryMeta(entry) {
+    const guessCount = Math.max(...entry.boards.map(board => board.guesses.length));
+    const parts = [t(entry.won ? 'historyWon' : 'historyLost', { guesses: guessCount, max: entry.maxGuesses })];
+
+    if (entry.mode.boardCount > 1) parts.push(t('historyBoards', { count: entry.mode.boardCount }));
+    if (entry.mode.timerMode === 'countdown') parts.push(t('countdown'));
+    if (entry.mode.timerMode === 'speed-run') parts.push(t('speedRun'));
+    if (entry.mode.playMode === 'pass-and-play') parts.push(t('passAndPlay'));
+    if (entry.mode.playMode === 'versus') parts.push(t('versus'));
+    if (entry.mode.hardMode) parts.push(t('historyHard'));
+    if (entry.language && entry.language !== DEFAULT_LANGUAGE) parts.push(getLanguage(entry.language).name);
+
+    parts.push(new Date(entry.finishedAt).toLocaleString(getLanguage(pageLanguage).locale, { dateStyle: 'medium', timeStyle: 'short' }));
+    return parts.join(' · ');
+}
+
+// Newest first. onReplay receives the entry of the clicked game.
+function renderHistoryList(history, onReplay) {
+    historyElements.list.innerHTML = '';
+
+    if (history.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'history-empty';
+        empty.textContent = t('noFinishedGames');
+        historyElements.list.appendChild(empty);
+        return;
+    }
+
+    [...history].reverse().forEach(entry => {
+        const item = document.createElement('li');
+        item.className = `history-item ${entry.won ? 'won' : 'lost'}`;
+
+        const words = document.createElement('span');
+        words.className = 'history-words';
+        words.textContent = entry.boards.map(board => board.secretWord).join(', ');
+
+        const meta = document.createElement('span');
+        meta.className = 'history-meta';
+        meta.textContent = formatHistoryMeta(entry);
+
+        const replayButton = document.createElement('button');
+        replayButton.type = 'button';
+        replayButton.className = 'history-replay-btn';
+        replayButton.textContent = t('replay');
+        replayButton.addEventListener('click', () => onReplay(entry));
+
+        item.append(words, meta, replayButton);
+        historyElements.list.appendChild(item);
+    });
+}
+
+function showHistoryMessage(message) {
+    if (historyElements.message) {
+        historyElements.message.textContent = message;
+    }
+}
+
+function showHistoryDialog(onReplay) {
+    if (!historyElements.dialog) return;
+
+    renderHistoryList(loadHistory(), onReplay);
+    showHistoryMessage('');
+
+    if (typeof historyElements.dialog.showModal === 'function') {
+        historyElements.dialog.showModal();
+    } else {
+        historyElements.dialog.setAttribute('open', '');
+    }
+}
+
+function closeHistoryDialog() {
+    if (!historyElements.dialog) return;
+
+    if (typeof historyElements.dialog.close === 'function') {
+        historyElements.dialog.close();
+    } else {
+        historyElements.dialog.removeAttribute('open');
+    }
+}
+
+// onReplay is passed on to the list so imported games can be replayed right away
+function setupHistoryDialog(onReplay) {
+    if (historyElements.closeButton) {
+        historyElements.closeButton.addEventListener('click', closeHistoryDialog);
+    }
+
+    if (historyElements.exportButton) {
+        historyElements.exportButton.addEventListener('click', () => {
+            const date = new Date().toISOString().slice(0, 10);
+            downloadTextFile(`wordie-history-${date}.json`, exportHistory());
+            showHistoryMessage(t('historyExported'));
+        });
+    }
+
+    if (historyElements.importInput) {
+        historyElements.importInput.addEventListener('change', async (event) => {
+            const [file] = event.target.files;
+            if (!file) return;
+
+            try {
+                const { added, skipped } = importHistory(await file.text());
+                renderHistoryList(loadHistory(), onReplay);
+                showHistoryMessage(t(skipped > 0 ? 'historyImportedSkipped' : 'historyImported', { count: added, skipped }));
+            } catch (error) {
+                console.error('❌ Failed to import history:', error);
+                showHistoryMessage(error.message);
+            } finally {
+                // Allow importing the same file again
+                event.target.value = '';
+            }
+        });
+    }
+}
@@ -0,0 +1,80 @@
+/* ----------------------------- On-screen Keyboard ----------------------------- */
+// The layout comes from the language of the game, see keyboardRows in languages.js
+// Higher rank wins when a letter has been scored more than once
+const LETTER_STATE_RANK = {
+    absent: 1,
+    present: 2,
+    correct: 3
+};
+
+// Best state each letter has reached across all guesses, e.g. { C: 'correct', R: 'present', A: 'absent' }
+function getLetterStates(guesses) {
+    const letterStates = {};
+
+    guesses.forEach(({ word, result }) => {
+        Array.from(word).forEach((letter, index) => {
+            const current = letterStates[letter];
+            if (!current || LETTER_STATE_RANK[result[index]] > LETTER_STATE_RANK[current]) {
+                letterStates[letter] = result[index];
+            }
+        });
+    });
+
+    return letterStates;
+}
+
+// onKey receives 'Enter', 'Backspace' or a single uppercase letter.
+// labels: { enter, backspace } text of the action keys in the page language
+function renderKeyboard(container, onKey, rows, labels = { enter: 'Enter', backspace: 'Backspace' }) {
+    if (!container) return;
+
+    container.innerHTML = '';
+
+    rows.forEach(keys => {
+        const row = document.createElement('div');
+        row.className = 'keyboard-row';
+
+        keys.forEach(key => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'key';
+            button.dataset.key = key;
+
+            if (key === 'Enter') {
+                button.textContent = labels.enter;
+                button.classList.add('key-wide');
+            } else if (key === 'Backspace') {
+                button.textContent = '⌫';
+                button.setAttribute('aria-label', labels.backspace);
+                button.classList.add('key-wide');
+            } else {
+                button.textContent = key;
+            }
+
+            // Keep focus in the letter boxes instead of moving it to the key
+            button.addEventListener('mousedown', event => event.preventDefault());
+            button.addEventListener('click', () => onKey(key));
+
+            row.appendChild(button);
+        });
+
+        container.appendChild(row);
+    });
+
+    console.log('✅ Keyboard rendered');
+}
+
+function updateKeyboard(container, guesses) {
+    if (!container) return;
+
+    const letterStates = getLetterStates(guesses);
+
+    container.querySelectorAll('.key').forEach(button => {
+        const state = letterStates[button.dataset.key];
+
+        button.classList.remove('correct', 'present', 'absent');
+        if (state) {
+            button.classList.add(state);
+        }
+    });
+}
@@ -0,0 +1,168 @@
+/* ----------------------------- Languages ----------------------------- */
+// Every language brings its own word lists and alphabet:
+//   locale        -> used to uppercase words (see WordGameEngine.normalizeWord)
+//   dictionary    -> word lists keyed by length, same shape as LOCAL_DICTIONARY (words.js)
+//   keyboardRows  -> the on-screen keyboard; every key except Enter and Backspace is
+//                    a letter of the alphabet, so this is also what a guess may contain
+// Only English has an API, the other languages are always played from their bundled lists.
+// Word lists are lowercase and NFC (é is one character, not e + accent).
+// The English words and the engine are globals in the browser, required in Node (tests)
+
+const DEFAULT_LANGUAGE = 'en';
+
+const LANGUAGES = {
+    en: {
+        name: 'English',
+        locale: 'en',
+        dictionary: typeof LOCAL_DICTIONARY !== 'undefined' ? LOCAL_DICTIONARY : require('./words.js').LOCAL_DICTIONARY,
+        keyboardRows: [
+            ['Q', 'W', 'E', 'R', 'T', 'Y', 'U', 'I', 'O', 'P'],
+            ['A', 'S', 'D', 'F', 'G', 'H', 'J', 'K', 'L'],
+            ['Enter', 'Z', 'X', 'C', 'V', 'B', 'N', 'M', 'Backspace']
+        ]
+    },
+    es: {
+        name: 'Español',
+        locale: 'es',
+        dictionary: {
+            5: {
+                answers: [
+                    'ácido', 'álbum', 'amigo', 'ángel', 'araña', 'árbol', 'arroz', 'avión', 'balón', 'barco',
+                    'botón', 'bueno', 'cajón', 'calle', 'campo', 'cañón', 'carta', 'cielo', 'coche', 'débil',
+                    'dólar', 'dueño', 'dulce', 'fácil', 'fruta', 'fuego', 'héroe', 'huevo', 'jabón', 'jamón',
+                    'lápiz', 'leche', 'libro', 'limón', 'madre', 'melón', 'móvil', 'mujer', 'mundo', 'museo',
+                    'negro', 'nieve', 'noche', 'ópera', 'otoño', 'padre', 'pañal', 'papel', 'perro', 'playa',
+                    'plaza', 'queso', 'ratón', 'razón', 'reloj', 'salón', 'señal', 'sueño', 'tarde', 'tazón',
+                    'tórax', 'túnel', 'único', 'vacío', 'vagón', 'verde'
+                ],
+                allowed: [
+                    'abrir', 'ámbar', 'andar', 'bajar', 'baños', 'besar', 'bravo', 'caber', 'cenar', 'cómic',
+                    'corto', 'coser', 'decir', 'dejar', 'echar', 'fénix', 'girar', 'güero', 'hacer', 'jugar',
+                    'largo', 'lavar', 'lento', 'listo', 'mirar', 'nadar', 'niñas', 'niños', 'nuevo', 'pagar',
+                    'pasar', 'piñón', 'pobre', 'poner', 'salir', 'subir', 'sucio', 'tocar', 'tomar', 'traer',
+                    'vivir', 'volar'
+                ]
+            }
+        },
+        keyboardRows: [
+            ['Á', 'É', 'Í', 'Ó', 'Ú', 'Ü'],
+            ['Q', 'W', 'E', 'R', 'T', 'Y', 'U', 'I', 'O', 'P'],
+            ['A', 'S', 'D', 'F', 'G', 'H', 'J', 'K', 'L', 'Ñ'],
+            ['Enter', 'Z', 'X', 'C', 'V', 'B', 'N', 'M', 'Backspace']
+        ]
+    },
+    de: {
+        name: 'Deutsch',
+        locale: 'de',
+        dictionary: {
+            5: {
+                answers: [
+                    'apfel', 'äpfel', 'ärger', 'bauer', 'bäume', 'birne', 'blume', 'blüte', 'brief', 'engel',
+                    'farbe', 'feuer', 'fisch', 'flöte', 'frage', 'gabel', 'geist', 'glück', 'größe', 'grüße',
+                    'hafen', 'hände', 'höhle', 'hütte', 'insel', 'kälte', 'katze', 'kerze', 'klöße', 'könig',
+                    'kraft', 'küche', 'lampe', 'licht', 'milch', 'mühle', 'musik', 'mütze', 'nacht', 'nadel',
+                    'nebel', 'onkel', 'pferd', 'platz', 'regen', 'schaf', 'schön', 'sonne', 'stadt', 'stein',
+                    'stuhl', 'tante', 'tisch', 'türen', 'übung', 'vogel', 'vögel', 'wagen', 'wärme', 'wolke',
+                    'wurst'
+                ],
+                allowed: [
+                    'abend', 'angst', 'bäche', 'bälle', 'blatt', 'boden', 'brust', 'decke', 'eimer', 'erbse',
+                    'ernte', 'essig', 'faden', 'feder', 'fluss', 'große', 'häfen', 'heiße', 'honig', 'hosen',
+                    'kabel', 'kämme', 'kanne', 'karte', 'kasse', 'kette', 'kiste', 'klang', 'knopf', 'kreis',
+                    'kugel', 'läden', 'leder', 'leute', 'liebe', 'liter', 'macht', 'markt', 'maske', 'mauer',
+                    'mäuse', 'meter', 'monat', 'motor', 'nagel', 'natur', 'nüsse', 'paket', 'perle', 'pfund',
+                    'preis', 'punkt', 'räder', 'rasen', 'regal', 'reise', 'salat', 'schuh', 'seife', 'seite',
+                    'söhne', 'sorge', 'spiel', 'sport', 'stern', 'stock', 'strom', 'suppe', 'tasse', 'traum',
+                    'wange', 'weiße', 'welle', 'wiese', 'woche', 'wölfe', 'zähne', 'zange', 'zunge'
+                ]
+            }
+        },
+        keyboardRows: [
+            ['Q', 'W', 'E', 'R', 'T', 'Z', 'U', 'I', 'O', 'P', 'Ü'],
+            ['A', 'S', 'D', 'F', 'G', 'H', 'J', 'K', 'L', 'Ö', 'Ä'],
+            ['Enter', 'Y', 'X', 'C', 'V', 'B', 'N', 'M', 'ß', 'Backspace']
+        ]
+    },
+    sw: {
+        name: 'Kiswahili',
+        locale: 'sw',
+        dictionary: {
+            5: {
+                answers: [
+                    'barua', 'benki', 'chuma', 'chupa', 'chura', 'dunia', 'fedha', 'jambo', 'jicho', 'jioni',
+                    'kesho', 'kiatu', 'kofia', 'lugha', 'mbegu', 'mbuzi', 'mdomo', 'mende', 'mfupa', 'mgeni',
+                    'mkate', 'mkono', 'mlima', 'mpira', 'msitu', 'mtoto', 'mwaka', 'mwezi', 'mzigo', 'ndege',
+                    'ndimu', 'ndizi', 'ndugu', 'ngoma', 'nyama', 'nyasi', 'nyoka', 'nyota', 'nyuki', 'panya',
+                    'papai', 'picha', 'punda', 'pweza', 'rangi', 'sauti', 'shule', 'sikio', 'simba', 'swali',
+                    'tembo', 'treni', 'twiga', 'ukuta', 'ulimi', 'upepo', 'usiku', 'wimbo'
+                ],
+                allowed: [
+                    'amani', 'ardhi', 'asali', 'bonde', 'bwana', 'fundi', 'jembe', 'kamba', 'kifua', 'kiuno',
+                    'kubwa', 'kuiba', 'kuoga', 'kuona', 'kuuza', 'mayai', 'mbaya', 'mboga', 'mfupi', 'moshi',
+                    'mrefu', 'mvuvi', 'ndogo', 'ngozi', 'nguvu', 'nzuri', 'pango', 'pombe', 'pwani', 'shoka',
+                    'siagi', 'tende', 'tumbo', 'ugali', 'uhuru', 'umeme', 'umoja', 'vumbi', 'wingu'
+                ]
+            }
+        },
+        // Swahili doesn't use Q or X
+        keyboardRows: [
+            ['W', 'E', 'R', 'T', 'Y', 'U', 'I', 'O', 'P'],
+            ['A', 'S', 'D', 'F', 'G', 'H', 'J', 'K', 'L'],
+            ['Enter', 'Z', 'C', 'V', 'B', 'N', 'M', 'Backspace']
+        ]
+    }
+};
+
+// Unknown codes get the default language
+function getLanguage(code) {
+    return LANGUAGES[code] || LANGUAGES[DEFAULT_LANGUAGE];
+}
+
+// Word lengths with answer words, e.g. [5] for every language but English
+function getLanguageWordLengths(code) {
+    const { dictionary } = getLanguage(code);
+    return Object.keys(dictionary)
+        .map(Number)
+        .filter(length => dictionary[length].answers.length > 0);
+}
+
+function getAlphabet(code) {
+    return getLanguage(code).keyboardRows
+        .flat()
+        .filter(key => key !== 'Enter' && key !== 'Backspace');
+}
+
+// Typed or stored text -> the UPPERCASE letters the game compares, e.g. 'größe' -> 'GRÖßE'
+function toGameWord(text, code) {
+    const { normalizeWord } = typeof WordGameEngine !== 'undefined'
+        ? WordGameEngine
+        : require('../shared/word-game-engine.js');
+    return normalizeWord(text, getLanguage(code).locale);
+}
+
+// True if every letter of an already normalized word is in the alphabet
+function isAlphabetWord(word, code) {
+    const alphabet = getAlphabet(code);
+    return word.length > 0 && Array.from(word).every(letter => alphabet.includes(letter));
+}
+
+// Keeps only the letters of the alphabet, e.g. for what is typed into a letter box
+function filterLetters(text, code) {
+    const alphabet = getAlphabet(code);
+    return Array.from(toGameWord(text, code))
+        .filter(letter => alphabet.includes(letter))
+        .join('');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_LANGUAGE,
+        LANGUAGES,
+        getLanguage,
+        getLanguageWordLengths,
+        getAlphabet,
+        toGameWord,
+        isAlphabetWord,
+        filterLetters
+    };
+}
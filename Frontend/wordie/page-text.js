@@ -0,0 +1,709 @@
+/* ----------------------------- Page Text ----------------------------- */
+// The text of the page in every language of languages.js.
+//   - Static text in index.html is marked with data-i18n="key"; data-i18n-placeholder
+//     and data-i18n-label fill in the placeholder and aria-label attributes
+//   - Messages use t(key, params) with {name} placeholders, e.g. t('guessProgress', { row: 2, total: 6 })
+//   - A text can be { one, other }, picked by params.count with the plural rules of the language,
+//     or by params.ordinal with its ordinal rules (1st, 2nd, 3rd)
+// Keys a language doesn't have yet are shown in English.
+const PAGE_TEXT = {
+    en: {
+        submitGuess: 'Submit Guess',
+        submitGuessLabel: 'Submit guess',
+        newGame: 'New Game',
+        newGameLabel: 'Reset game',
+        stats: 'Stats',
+        statsLabel: 'Show statistics',
+        hint: 'Hint',
+        hintLabel: 'Get a hint',
+        history: 'History',
+        historyLabel: 'Show game history',
+        hardMode: 'Hard mode',
+        colourBlind: 'Colour-blind colours',
+        reducedMotion: 'Reduced motion',
+        letters: 'Letters',
+        guesses: 'Guesses',
+        boards: 'Boards',
+        mode: 'Mode',
+        classic: 'Classic',
+        countdown: 'Countdown',
+        speedRun: 'Speed run',
+        players: 'Players',
+        solo: 'Solo',
+        passAndPlay: 'Pass & play',
+        versus: 'Versus',
+        language: 'Language',
+        challengeFriend: 'Challenge a friend',
+        copyLink: 'Copy Link',
+        secretWord: 'Secret word',
+        statistics: 'Statistics',
+        played: 'Played',
+        winPercentage: 'Win %',
+        currentStreak: 'Current Streak',
+        maxStreak: 'Max Streak',
+        guessDistribution: 'Guess Distribution',
+        timedRecords: 'Timed Records',
+        playAgain: 'Play Again',
+        share: 'Share',
+        close: 'Close',
+        cancel: 'Cancel',
+        export: 'Export',
+        import: 'Import',
+        play: 'Play',
+        pause: 'Pause',
+        start: 'Start',
+        loading: 'Loading...',
+        keyEnter: 'Enter',
+        keyBackspace: 'Backspace',
+        timeLeft: 'Time left',
+        gameBoard: 'Game board',
+        keyboard: 'Keyboard',
+        gameControls: 'Game controls',
+        gameSettings: 'Game settings',
+        gameMessages: 'Game messages',
+        winsByGuesses: 'Wins by number of guesses',
+        finishedGames: 'Finished games',
+        previousGuess: 'Previous guess',
+        nextGuess: 'Next guess',
+
+        subtitle: {
+            one: 'Guess the {length}-letter word in {count} try!',
+            other: 'Guess the {length}-letter word in {count} tries!'
+        },
+        subtitleMultiBoard: {
+            one: 'Solve {boards} {length}-letter words in {count} try!',
+            other: 'Solve {boards} {length}-letter words in {count} tries!'
+        },
+        welcome: 'Welcome to Wordie!',
+        welcomeBack: 'Welcome back!',
+        challengeAccepted: 'Challenge accepted!',
+        guessProgress: 'Guess {row} of {total}',
+        boardSolved: 'Board {board} solved! {progress}',
+        exactLetters: 'Please enter exactly {count} letters',
+        onlyLetters: 'Please use only letters',
+        fillAllBoxes: 'Please fill all letter boxes',
+        notAWord: 'Not a valid English word',
+        gameIsOver: 'Game is over. Click "New Game" to play again.',
+        won: '🎉 Congratulations! You found the word: {words}',
+        lost: '😔 Game over! The word was: {words}',
+        wonAllBoards: '🎉 Congratulations! You found all {count} words: {words}',
+        lostBoards: '😔 Game over! You solved {solved} of {count}. The words were: {words}',
+        loadFailed: 'Failed to load word. Please refresh the page.',
+        languageNextGame: 'The new language applies from the next game',
+        checkFailed: 'Error checking word. Please try again.',
+        submitFailed: 'An error occurred. Please try again.',
+        initFailed: 'Failed to initialize game. Please refresh the page.',
+        boardLabel: 'Board {board}',
+        rowLabel: 'Guess row {row}',
+        letterLabel: 'Letter {position}',
+        revealedLetterLabel: 'Letter {position}, {letter}, {result}',
+        correct: 'correct',
+        present: 'present',
+        absent: 'absent',
+        hintUnknownWord: "The hint dictionary doesn't know this word",
+        hintRemaining: {
+            one: '{count} possible word left. Press Hint again for a suggestion.',
+            other: '{count} possible words left. Press Hint again for a suggestion.'
+        },
+        hintRemainingPerBoard: 'Possible words per board: {counts}. Press Hint again for a suggestion.',
+        hintSuggestion: 'Try {word} ({remaining} possible)',
+        hintSuggestionBoard: 'Try {word} for board {board} ({remaining} possible)',
+        shareUnfinished: 'Finish the game to share your result',
+        copied: 'Copied!',
+        copyFailed: 'Copy failed',
+        challengeLength: 'Challenge words need {min} to {max} letters',
+        challengeCopied: 'Challenge link copied!',
+        hardModeLocked: 'Hard mode can only be changed at the start of a game',
+        hardModeOn: 'Hard mode on',
+        hardModeOnMultiBoard: 'Hard mode on (single-board games only)',
+        hardModeOff: 'Hard mode off',
+        ordinal: {
+            one: '{ordinal}st',
+            two: '{ordinal}nd',
+            few: '{ordinal}rd',
+            other: '{ordinal}th'
+        },
+        hardModePosition: '{position} letter must be {letter}',
+        hardModeContains: {
+            one: 'Guess must contain {letter}',
+            other: "Guess must contain {count} {letter}'s"
+        },
+        boardSizeNextGame: 'New board settings apply from the next game',
+        timerModeLocked: 'The mode can only be changed at the start of a game',
+        playModeLocked: 'Players can only be changed at the start of a game',
+        timePenalty: '{message} (-{seconds}s)',
+        speedRunProgress: '✅ {count} solved! Next word...',
+        countdownWon: '🎉 Solved in {time}! The answer was: {words}',
+        timeUp: "⏰ Time's up!",
+        gameOver: '😔 Game over!',
+        runOver: '😔 Run over!',
+        answerWas: '{reason} The answer was: {words}',
+        speedRunOver: {
+            one: '{reason} You solved {count} word. The answer was: {words}',
+            other: '{reason} You solved {count} words. The answer was: {words}'
+        },
+        newRecord: 'New record!',
+        countdownBest: 'Countdown best: {time}',
+        speedRunBest: {
+            one: 'Speed run best: {count} word',
+            other: 'Speed run best: {count} words'
+        },
+        noTimedGames: 'No timed games yet',
+        playerName: 'Player {number}',
+        setupTitle: '{player}, pick a secret word',
+        setupHint: '{player}, look away!',
+        yourTurn: '{player}, your turn!',
+        versusRound: 'Round {round} · {score}',
+        playerFound: '🎉 {player} found {words} in {count}!',
+        playerMissed: '😔 {player} missed it. The word was: {words}',
+        versusPoints: '+{points} ({score}). Click "New Game" for the next round.',
+        replayTitle: '{words} · Guess {step} of {total}',
+        replay: 'Replay',
+        noFinishedGames: 'No finished games yet',
+        historyWon: 'Won in {guesses}/{max}',
+        historyLost: 'Lost {guesses}/{max}',
+        historyBoards: '{count} boards',
+        historyHard: 'Hard',
+        historyExported: 'History exported',
+        historyImported: {
+            one: 'Imported {count} game',
+            other: 'Imported {count} games'
+        },
+        historyImportedSkipped: {
+            one: 'Imported {count} game ({skipped} skipped)',
+            other: 'Imported {count} games ({skipped} skipped)'
+        },
+        importNotJson: 'The file is not valid JSON',
+        importNoGames: 'No games found in the file'
+    },
+    es: {
+        submitGuess: 'Enviar',
+        submitGuessLabel: 'Enviar intento',
+        newGame: 'Nueva partida',
+        newGameLabel: 'Empezar una nueva partida',
+        stats: 'Estadísticas',
+        statsLabel: 'Mostrar estadísticas',
+        hint: 'Pista',
+        hintLabel: 'Pedir una pista',
+        history: 'Historial',
+        historyLabel: 'Mostrar el historial de partidas',
+        hardMode: 'Modo difícil',
+        colourBlind: 'Colores para daltónicos',
+        reducedMotion: 'Menos animaciones',
+        letters: 'Letras',
+        guesses: 'Intentos',
+        boards: 'Tableros',
+        mode: 'Modo',
+        classic: 'Clásico',
+        countdown: 'Cuenta atrás',
+        speedRun: 'Contrarreloj',
+        players: 'Jugadores',
+        solo: 'Solo',
+        passAndPlay: 'Pasa y juega',
+        versus: 'Duelo',
+        language: 'Idioma',
+        challengeFriend: 'Reta a un amigo',
+        copyLink: 'Copiar enlace',
+        secretWord: 'Palabra secreta',
+        statistics: 'Estadísticas',
+        played: 'Jugadas',
+        winPercentage: '% ganadas',
+        currentStreak: 'Racha actual',
+        maxStreak: 'Mejor racha',
+        guessDistribution: 'Distribución de intentos',
+        timedRecords: 'Récords con tiempo',
+        playAgain: 'Jugar otra vez',
+        share: 'Compartir',
+        close: 'Cerrar',
+        cancel: 'Cancelar',
+        export: 'Exportar',
+        import: 'Importar',
+        play: 'Reproducir',
+        pause: 'Pausa',
+        start: 'Empezar',
+        loading: 'Cargando...',
+        keyEnter: 'Enviar',
+        keyBackspace: 'Borrar',
+        timeLeft: 'Tiempo restante',
+        gameBoard: 'Tablero de juego',
+        keyboard: 'Teclado',
+        gameControls: 'Controles de la partida',
+        gameSettings: 'Ajustes de la partida',
+        gameMessages: 'Mensajes de la partida',
+        winsByGuesses: 'Victorias por número de intentos',
+        finishedGames: 'Partidas terminadas',
+        previousGuess: 'Intento anterior',
+        nextGuess: 'Intento siguiente',
+
+        subtitle: {
+            one: '¡Adivina la palabra de {length} letras en {count} intento!',
+            other: '¡Adivina la palabra de {length} letras en {count} intentos!'
+        },
+        subtitleMultiBoard: {
+            one: '¡Resuelve {boards} palabras de {length} letras en {count} intento!',
+            other: '¡Resuelve {boards} palabras de {length} letras en {count} intentos!'
+        },
+        welcome: '¡Te damos la bienvenida a Wordie!',
+        welcomeBack: '¡Hola de nuevo!',
+        challengeAccepted: '¡Reto aceptado!',
+        guessProgress: 'Intento {row} de {total}',
+        boardSolved: '¡Tablero {board} resuelto! {progress}',
+        exactLetters: 'Escribe exactamente {count} letras',
+        onlyLetters: 'Usa solo letras',
+        fillAllBoxes: 'Rellena todas las casillas',
+        notAWord: 'No está en la lista de palabras',
+        gameIsOver: 'La partida ha terminado. Pulsa «Nueva partida» para volver a jugar.',
+        won: '🎉 ¡Enhorabuena! Has encontrado la palabra: {words}',
+        lost: '😔 ¡Fin de la partida! La palabra era: {words}',
+        wonAllBoards: '🎉 ¡Enhorabuena! Has encontrado las {count} palabras: {words}',
+        lostBoards: '😔 ¡Fin de la partida! Has resuelto {solved} de {count}. Las palabras eran: {words}',
+        loadFailed: 'No se pudo cargar la palabra. Recarga la página.',
+        languageNextGame: 'El nuevo idioma se aplica a partir de la próxima partida',
+        checkFailed: 'Error al comprobar la palabra. Inténtalo de nuevo.',
+        submitFailed: 'Se ha producido un error. Inténtalo de nuevo.',
+        initFailed: 'No se pudo iniciar la partida. Recarga la página.',
+        boardLabel: 'Tablero {board}',
+        rowLabel: 'Fila {row}',
+        letterLabel: 'Letra {position}',
+        revealedLetterLabel: 'Letra {position}, {letter}, {result}',
+        correct: 'correcta',
+        present: 'en otro sitio',
+        absent: 'no está',
+        hintUnknownWord: 'El diccionario de pistas no conoce esta palabra',
+        hintRemaining: {
+            one: 'Queda {count} palabra posible. Pulsa Pista otra vez para ver una sugerencia.',
+            other: 'Quedan {count} palabras posibles. Pulsa Pista otra vez para ver una sugerencia.'
+        },
+        hintRemainingPerBoard: 'Palabras posibles por tablero: {counts}. Pulsa Pista otra vez para ver una sugerencia.',
+        hintSuggestion: 'Prueba {word} ({remaining} posibles)',
+        hintSuggestionBoard: 'Prueba {word} en el tablero {board} ({remaining} posibles)',
+        shareUnfinished: 'Termina la partida para compartir tu resultado',
+        copied: '¡Copiado!',
+        copyFailed: 'No se pudo copiar',
+        challengeLength: 'Las palabras del reto necesitan de {min} a {max} letras',
+        challengeCopied: '¡Enlace del reto copiado!',
+        hardModeLocked: 'El modo difícil solo se puede cambiar al empezar una partida',
+        hardModeOn: 'Modo difícil activado',
+        hardModeOnMultiBoard: 'Modo difícil activado (solo en partidas de un tablero)',
+        hardModeOff: 'Modo difícil desactivado',
+        ordinal: '{ordinal}.ª',
+        hardModePosition: 'La {position} letra debe ser {letter}',
+        hardModeContains: {
+            one: 'El intento debe contener {letter}',
+            other: 'El intento debe contener {count} veces la {letter}'
+        },
+        boardSizeNextGame: 'Los nuevos ajustes del tablero se aplican a partir de la próxima partida',
+        timerModeLocked: 'El modo solo se puede cambiar al empezar una partida',
+        playModeLocked: 'Los jugadores solo se pueden cambiar al empezar una partida',
+        timePenalty: '{message} (-{seconds} s)',
+        speedRunProgress: '✅ ¡{count} resueltas! Siguiente palabra...',
+        countdownWon: '🎉 ¡Resuelto en {time}! La respuesta era: {words}',
+        timeUp: '⏰ ¡Se acabó el tiempo!',
+        gameOver: '😔 ¡Fin de la partida!',
+        runOver: '😔 ¡Fin de la carrera!',
+        answerWas: '{reason} La respuesta era: {words}',
+        speedRunOver: {
+            one: '{reason} Has resuelto {count} palabra. La respuesta era: {words}',
+            other: '{reason} Has resuelto {count} palabras. La respuesta era: {words}'
+        },
+        newRecord: '¡Nuevo récord!',
+        countdownBest: 'Mejor cuenta atrás: {time}',
+        speedRunBest: {
+            one: 'Mejor contrarreloj: {count} palabra',
+            other: 'Mejor contrarreloj: {count} palabras'
+        },
+        noTimedGames: 'Aún no hay partidas con tiempo',
+        playerName: 'Jugador {number}',
+        setupTitle: '{player}, elige una palabra secreta',
+        setupHint: '¡{player}, no mires!',
+        yourTurn: '¡{player}, te toca!',
+        versusRound: 'Ronda {round} · {score}',
+        playerFound: '🎉 ¡{player} encontró {words} en {count}!',
+        playerMissed: '😔 {player} no la encontró. La palabra era: {words}',
+        versusPoints: '+{points} ({score}). Pulsa «Nueva partida» para la siguiente ronda.',
+        replayTitle: '{words} · Intento {step} de {total}',
+        replay: 'Repetir',
+        noFinishedGames: 'Aún no hay partidas terminadas',
+        historyWon: 'Ganada en {guesses}/{max}',
+        historyLost: 'Perdida {guesses}/{max}',
+        historyBoards: '{count} tableros',
+        historyHard: 'Difícil',
+        historyExported: 'Historial exportado',
+        historyImported: {
+            one: '{count} partida importada',
+            other: '{count} partidas importadas'
+        },
+        historyImportedSkipped: {
+            one: '{count} partida importada ({skipped} omitidas)',
+            other: '{count} partidas importadas ({skipped} omitidas)'
+        },
+        importNotJson: 'El archivo no es un JSON válido',
+        importNoGames: 'No hay partidas en el archivo'
+    },
+    de: {
+        submitGuess: 'Abschicken',
+        submitGuessLabel: 'Versuch abschicken',
+        newGame: 'Neues Spiel',
+        newGameLabel: 'Neues Spiel starten',
+        stats: 'Statistik',
+        statsLabel: 'Statistik anzeigen',
+        hint: 'Tipp',
+        hintLabel: 'Tipp anzeigen',
+        history: 'Verlauf',
+        historyLabel: 'Spielverlauf anzeigen',
+        hardMode: 'Schwerer Modus',
+        colourBlind: 'Farben für Farbenblinde',
+        reducedMotion: 'Weniger Animationen',
+        letters: 'Buchstaben',
+        guesses: 'Versuche',
+        boards: 'Spielfelder',
+        mode: 'Modus',
+        classic: 'Klassisch',
+        countdown: 'Countdown',
+        speedRun: 'Speedrun',
+        players: 'Spieler',
+        solo: 'Allein',
+        passAndPlay: 'Abwechselnd',
+        versus: 'Duell',
+        language: 'Sprache',
+        challengeFriend: 'Fordere jemanden heraus',
+        copyLink: 'Link kopieren',
+        secretWord: 'Geheimes Wort',
+        statistics: 'Statistik',
+        played: 'Gespielt',
+        winPercentage: 'Siege %',
+        currentStreak: 'Aktuelle Serie',
+        maxStreak: 'Längste Serie',
+        guessDistribution: 'Verteilung der Versuche',
+        timedRecords: 'Zeitrekorde',
+        playAgain: 'Nochmal spielen',
+        share: 'Teilen',
+        close: 'Schließen',
+        cancel: 'Abbrechen',
+        export: 'Exportieren',
+        import: 'Importieren',
+        play: 'Abspielen',
+        pause: 'Pause',
+        start: 'Starten',
+        loading: 'Lädt...',
+        keyEnter: 'Eingabe',
+        keyBackspace: 'Löschen',
+        timeLeft: 'Verbleibende Zeit',
+        gameBoard: 'Spielbrett',
+        keyboard: 'Tastatur',
+        gameControls: 'Spielsteuerung',
+        gameSettings: 'Spieleinstellungen',
+        gameMessages: 'Spielmeldungen',
+        winsByGuesses: 'Siege nach Anzahl der Versuche',
+        finishedGames: 'Beendete Spiele',
+        previousGuess: 'Vorheriger Versuch',
+        nextGuess: 'Nächster Versuch',
+
+        subtitle: {
+            one: 'Errate das Wort mit {length} Buchstaben in {count} Versuch!',
+            other: 'Errate das Wort mit {length} Buchstaben in {count} Versuchen!'
+        },
+        subtitleMultiBoard: {
+            one: 'Löse {boards} Wörter mit {length} Buchstaben in {count} Versuch!',
+            other: 'Löse {boards} Wörter mit {length} Buchstaben in {count} Versuchen!'
+        },
+        welcome: 'Willkommen bei Wordie!',
+        welcomeBack: 'Willkommen zurück!',
+        challengeAccepted: 'Herausforderung angenommen!',
+        guessProgress: 'Versuch {row} von {total}',
+        boardSolved: 'Spielfeld {board} gelöst! {progress}',
+        exactLetters: 'Bitte genau {count} Buchstaben eingeben',
+        onlyLetters: 'Bitte nur Buchstaben verwenden',
+        fillAllBoxes: 'Bitte alle Felder ausfüllen',
+        notAWord: 'Nicht in der Wortliste',
+        gameIsOver: 'Das Spiel ist vorbei. Klicke auf „Neues Spiel“, um nochmal zu spielen.',
+        won: '🎉 Glückwunsch! Du hast das Wort gefunden: {words}',
+        lost: '😔 Spiel vorbei! Das Wort war: {words}',
+        wonAllBoards: '🎉 Glückwunsch! Du hast alle {count} Wörter gefunden: {words}',
+        lostBoards: '😔 Spiel vorbei! Du hast {solved} von {count} gelöst. Die Wörter waren: {words}',
+        loadFailed: 'Das Wort konnte nicht geladen werden. Bitte lade die Seite neu.',
+        languageNextGame: 'Die neue Sprache gilt ab dem nächsten Spiel',
+        checkFailed: 'Fehler beim Prüfen des Worts. Bitte versuche es nochmal.',
+        submitFailed: 'Ein Fehler ist aufgetreten. Bitte versuche es nochmal.',
+        initFailed: 'Das Spiel konnte nicht gestartet werden. Bitte lade die Seite neu.',
+        boardLabel: 'Spielfeld {board}',
+        rowLabel: 'Versuch {row}',
+        letterLabel: 'Buchstabe {position}',
+        revealedLetterLabel: 'Buchstabe {position}, {letter}, {result}',
+        correct: 'richtig',
+        present: 'an anderer Stelle',
+        absent: 'nicht im Wort',
+        hintUnknownWord: 'Das Tipp-Wörterbuch kennt dieses Wort nicht',
+        hintRemaining: {
+            one: 'Noch {count} mögliches Wort. Drücke nochmal auf Tipp für einen Vorschlag.',
+            other: 'Noch {count} mögliche Wörter. Drücke nochmal auf Tipp für einen Vorschlag.'
+        },
+        hintRemainingPerBoard: 'Mögliche Wörter pro Spielfeld: {counts}. Drücke nochmal auf Tipp für einen Vorschlag.',
+        hintSuggestion: 'Versuch es mit {word} ({remaining} möglich)',
+        hintSuggestionBoard: 'Versuch es mit {word} auf Spielfeld {board} ({remaining} möglich)',
+        shareUnfinished: 'Beende das Spiel, um dein Ergebnis zu teilen',
+        copied: 'Kopiert!',
+        copyFailed: 'Kopieren fehlgeschlagen',
+        challengeLength: 'Wörter für Herausforderungen brauchen {min} bis {max} Buchstaben',
+        challengeCopied: 'Link zur Herausforderung kopiert!',
+        hardModeLocked: 'Der schwere Modus kann nur zu Beginn eines Spiels geändert werden',
+        hardModeOn: 'Schwerer Modus an',
+        hardModeOnMultiBoard: 'Schwerer Modus an (nur bei einem Spielfeld)',
+        hardModeOff: 'Schwerer Modus aus',
+        ordinal: '{ordinal}.',
+        hardModePosition: 'Der {position} Buchstabe muss {letter} sein',
+        hardModeContains: {
+            one: 'Der Versuch muss {letter} enthalten',
+            other: 'Der Versuch muss {count}× {letter} enthalten'
+        },
+        boardSizeNextGame: 'Die neuen Spielfeld-Einstellungen gelten ab dem nächsten Spiel',
+        timerModeLocked: 'Der Modus kann nur zu Beginn eines Spiels geändert werden',
+        playModeLocked: 'Die Spieler können nur zu Beginn eines Spiels geändert werden',
+        timePenalty: '{message} (-{seconds} s)',
+        speedRunProgress: '✅ {count} gelöst! Nächstes Wort...',
+        countdownWon: '🎉 Gelöst in {time}! Die Lösung war: {words}',
+        timeUp: '⏰ Die Zeit ist um!',
+        gameOver: '😔 Spiel vorbei!',
+        runOver: '😔 Lauf vorbei!',
+        answerWas: '{reason} Die Lösung war: {words}',
+        speedRunOver: {
+            one: '{reason} Du hast {count} Wort gelöst. Die Lösung war: {words}',
+            other: '{reason} Du hast {count} Wörter gelöst. Die Lösung war: {words}'
+        },
+        newRecord: 'Neuer Rekord!',
+        countdownBest: 'Bester Countdown: {time}',
+        speedRunBest: {
+            one: 'Bester Speedrun: {count} Wort',
+            other: 'Bester Speedrun: {count} Wörter'
+        },
+        noTimedGames: 'Noch keine Spiele auf Zeit',
+        playerName: 'Spieler {number}',
+        setupTitle: '{player}, wähle ein geheimes Wort',
+        setupHint: '{player}, schau weg!',
+        yourTurn: '{player}, du bist dran!',
+        versusRound: 'Runde {round} · {score}',
+        playerFound: '🎉 {player} hat {words} in {count} gefunden!',
+        playerMissed: '😔 {player} hat es nicht gefunden. Das Wort war: {words}',
+        versusPoints: '+{points} ({score}). Klicke auf „Neues Spiel“ für die nächste Runde.',
+        replayTitle: '{words} · Versuch {step} von {total}',
+        replay: 'Wiederholung',
+        noFinishedGames: 'Noch keine beendeten Spiele',
+        historyWon: 'Gewonnen in {guesses}/{max}',
+        historyLost: 'Verloren {guesses}/{max}',
+        historyBoards: '{count} Spielfelder',
+        historyHard: 'Schwer',
+        historyExported: 'Verlauf exportiert',
+        historyImported: {
+            one: '{count} Spiel importiert',
+            other: '{count} Spiele importiert'
+        },
+        historyImportedSkipped: {
+            one: '{count} Spiel importiert ({skipped} übersprungen)',
+            other: '{count} Spiele importiert ({skipped} übersprungen)'
+        },
+        importNotJson: 'Die Datei ist kein gültiges JSON',
+        importNoGames: 'Keine Spiele in der Datei gefunden'
+    },
+    sw: {
+        submitGuess: 'Tuma',
+        submitGuessLabel: 'Tuma jaribio',
+        newGame: 'Mchezo mpya',
+        newGameLabel: 'Anza mchezo upya',
+        stats: 'Takwimu',
+        statsLabel: 'Onyesha takwimu',
+        hint: 'Dokezo',
+        hintLabel: 'Pata dokezo',
+        history: 'Historia',
+        historyLabel: 'Onyesha historia ya michezo',
+        hardMode: 'Hali ngumu',
+        colourBlind: 'Rangi kwa wasioona rangi vizuri',
+        reducedMotion: 'Uhuishaji mdogo',
+        letters: 'Herufi',
+        guesses: 'Majaribio',
+        boards: 'Mbao',
+        mode: 'Aina',
+        classic: 'Kawaida',
+        countdown: 'Muda maalum',
+        speedRun: 'Mbio za kasi',
+        players: 'Wachezaji',
+        solo: 'Peke yako',
+        passAndPlay: 'Kupokezana',
+        versus: 'Mashindano',
+        language: 'Lugha',
+        challengeFriend: 'Mpe rafiki changamoto',
+        copyLink: 'Nakili kiungo',
+        secretWord: 'Neno la siri',
+        statistics: 'Takwimu',
+        played: 'Imechezwa',
+        winPercentage: 'Ushindi %',
+        currentStreak: 'Mfululizo wa sasa',
+        maxStreak: 'Mfululizo mrefu zaidi',
+        guessDistribution: 'Mgawanyo wa majaribio',
+        timedRecords: 'Rekodi za muda',
+        playAgain: 'Cheza tena',
+        share: 'Shiriki',
+        close: 'Funga',
+        cancel: 'Ghairi',
+        export: 'Hamisha',
+        import: 'Leta',
+        play: 'Cheza',
+        pause: 'Sitisha',
+        start: 'Anza',
+        loading: 'Inapakia...',
+        keyEnter: 'Ingiza',
+        keyBackspace: 'Futa',
+        timeLeft: 'Muda uliobaki',
+        gameBoard: 'Ubao wa mchezo',
+        keyboard: 'Kibodi',
+        gameControls: 'Vidhibiti vya mchezo',
+        gameSettings: 'Mipangilio ya mchezo',
+        gameMessages: 'Ujumbe wa mchezo',
+        winsByGuesses: 'Ushindi kwa idadi ya majaribio',
+        finishedGames: 'Michezo iliyokamilika',
+        previousGuess: 'Jaribio lililotangulia',
+        nextGuess: 'Jaribio linalofuata',
+
+        subtitle: {
+            one: 'Kisia neno la herufi {length} kwa jaribio {count}!',
+            other: 'Kisia neno la herufi {length} kwa majaribio {count}!'
+        },
+        subtitleMultiBoard: {
+            one: 'Tatua maneno {boards} ya herufi {length} kwa jaribio {count}!',
+            other: 'Tatua maneno {boards} ya herufi {length} kwa majaribio {count}!'
+        },
+        welcome: 'Karibu Wordie!',
+        welcomeBack: 'Karibu tena!',
+        challengeAccepted: 'Changamoto imekubaliwa!',
+        guessProgress: 'Jaribio {row} kati ya {total}',
+        boardSolved: 'Ubao {board} umetatuliwa! {progress}',
+        exactLetters: 'Tafadhali andika herufi {count} hasa',
+        onlyLetters: 'Tafadhali tumia herufi tu',
+        fillAllBoxes: 'Tafadhali jaza visanduku vyote',
+        notAWord: 'Halimo kwenye orodha ya maneno',
+        gameIsOver: 'Mchezo umekwisha. Bofya "Mchezo mpya" ili ucheze tena.',
+        won: '🎉 Hongera! Umepata neno: {words}',
+        lost: '😔 Mchezo umekwisha! Neno lilikuwa: {words}',
+        wonAllBoards: '🎉 Hongera! Umepata maneno yote {count}: {words}',
+        lostBoards: '😔 Mchezo umekwisha! Umetatua {solved} kati ya {count}. Maneno yalikuwa: {words}',
+        loadFailed: 'Imeshindwa kupakia neno. Tafadhali pakia ukurasa upya.',
+        languageNextGame: 'Lugha mpya itatumika kuanzia mchezo ujao',
+        checkFailed: 'Hitilafu wakati wa kukagua neno. Tafadhali jaribu tena.',
+        submitFailed: 'Hitilafu imetokea. Tafadhali jaribu tena.',
+        initFailed: 'Imeshindwa kuanzisha mchezo. Tafadhali pakia ukurasa upya.',
+        boardLabel: 'Ubao {board}',
+        rowLabel: 'Jaribio {row}',
+        letterLabel: 'Herufi {position}',
+        revealedLetterLabel: 'Herufi {position}, {letter}, {result}',
+        correct: 'sahihi',
+        present: 'ipo mahali pengine',
+        absent: 'haipo',
+        hintUnknownWord: 'Kamusi ya madokezo haijui neno hili',
+        hintRemaining: {
+            one: 'Limebaki neno {count} linalowezekana. Bonyeza Dokezo tena upate pendekezo.',
+            other: 'Yamebaki maneno {count} yanayowezekana. Bonyeza Dokezo tena upate pendekezo.'
+        },
+        hintRemainingPerBoard: 'Maneno yanayowezekana kwa kila ubao: {counts}. Bonyeza Dokezo tena upate pendekezo.',
+        hintSuggestion: 'Jaribu {word} ({remaining} yanawezekana)',
+        hintSuggestionBoard: 'Jaribu {word} kwenye ubao {board} ({remaining} yanawezekana)',
+        shareUnfinished: 'Maliza mchezo ili ushiriki matokeo yako',
+        copied: 'Imenakiliwa!',
+        copyFailed: 'Imeshindwa kunakili',
+        challengeLength: 'Maneno ya changamoto yanahitaji herufi {min} hadi {max}',
+        challengeCopied: 'Kiungo cha changamoto kimenakiliwa!',
+        hardModeLocked: 'Hali ngumu inaweza kubadilishwa mwanzoni mwa mchezo tu',
+        hardModeOn: 'Hali ngumu imewashwa',
+        hardModeOnMultiBoard: 'Hali ngumu imewashwa (kwa michezo ya ubao mmoja tu)',
+        hardModeOff: 'Hali ngumu imezimwa',
+        ordinal: '{ordinal}',
+        hardModePosition: 'Herufi ya {position} lazima iwe {letter}',
+        hardModeContains: {
+            one: 'Jaribio lazima liwe na {letter}',
+            other: 'Jaribio lazima liwe na {letter} {count}'
+        },
+        boardSizeNextGame: 'Mipangilio mipya ya ubao itatumika kuanzia mchezo ujao',
+        timerModeLocked: 'Aina inaweza kubadilishwa mwanzoni mwa mchezo tu',
+        playModeLocked: 'Wachezaji wanaweza kubadilishwa mwanzoni mwa mchezo tu',
+        timePenalty: '{message} (-{seconds}s)',
+        speedRunProgress: '✅ {count} yametatuliwa! Neno linalofuata...',
+        countdownWon: '🎉 Umetatua kwa {time}! Jibu lilikuwa: {words}',
+        timeUp: '⏰ Muda umekwisha!',
+        gameOver: '😔 Mchezo umekwisha!',
+        runOver: '😔 Mbio zimekwisha!',
+        answerWas: '{reason} Jibu lilikuwa: {words}',
+        speedRunOver: {
+            one: '{reason} Umetatua neno {count}. Jibu lilikuwa: {words}',
+            other: '{reason} Umetatua maneno {count}. Jibu lilikuwa: {words}'
+        },
+        newRecord: 'Rekodi mpya!',
+        countdownBest: 'Bora kwa muda maalum: {time}',
+        speedRunBest: {
+            one: 'Bora kwa mbio za kasi: neno {count}',
+            other: 'Bora kwa mbio za kasi: maneno {count}'
+        },
+        noTimedGames: 'Bado hakuna michezo ya muda',
+        playerName: 'Mchezaji {number}',
+        setupTitle: '{player}, chagua neno la siri',
+        setupHint: '{player}, usitazame!',
+        yourTurn: '{player}, zamu yako!',
+        versusRound: 'Raundi {round} · {score}',
+        playerFound: '🎉 {player} amepata {words} kwa {count}!',
+        playerMissed: '😔 {player} hakulipata. Neno lilikuwa: {words}',
+        versusPoints: '+{points} ({score}). Bofya "Mchezo mpya" kwa raundi inayofuata.',
+        replayTitle: '{words} · Jaribio {step} kati ya {total}',
+        replay: 'Rudia',
+        noFinishedGames: 'Bado hakuna michezo iliyokamilika',
+        historyWon: 'Ushindi {guesses}/{max}',
+        historyLost: 'Kushindwa {guesses}/{max}',
+        historyBoards: 'Mbao {count}',
+        historyHard: 'Ngumu',
+        historyExported: 'Historia imehamishwa',
+        historyImported: {
+            one: 'Mchezo {count} umeletwa',
+            other: 'Michezo {count} imeletwa'
+        },
+        historyImportedSkipped: {
+            one: 'Mchezo {count} umeletwa ({skipped} imerukwa)',
+            other: 'Michezo {count} imeletwa ({skipped} imerukwa)'
+        },
+        importNotJson: 'Faili si JSON sahihi',
+        importNoGames: 'Hakuna michezo kwenye faili'
+    }
+};
+
+let pageLanguage = DEFAULT_LANGUAGE;
+
+function t(key, params = {}) {
+    const language = PAGE_TEXT[pageLanguage][key] !== undefined ? pageLanguage : DEFAULT_LANGUAGE;
+    let text = PAGE_TEXT[language][key];
+
+    if (text === undefined) {
+        console.warn('⚠️ Missing page text:', key);
+        return key;
+    }
+    if (typeof text === 'object') {
+        const type = params.ordinal !== undefined ? 'ordinal' : 'cardinal';
+        const rule = new Intl.PluralRules(getLanguage(language).locale, { type })
+            .select(type === 'ordinal' ? params.ordinal : params.count);
+        text = text[rule] || text.other;
+    }
+
+    return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+}
+
+// Switch the static text of the page; messages pick up the language the next time they are shown
+function setPageLanguage(code) {
+    pageLanguage = PAGE_TEXT[code] ? code : DEFAULT_LANGUAGE;
+    document.documentElement.lang = getLanguage(pageLanguage).locale;
+
+    document.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    document.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+        element.placeholder = t(element.dataset.i18nPlaceholder);
+    });
+    document.querySelectorAll('[data-i18n-label]').forEach(element => {
+        element.setAttribute('aria-label', t(element.dataset.i18nLabel));
+    });
+
+    console.log('🌍 Page language:', pageLanguage);
+}
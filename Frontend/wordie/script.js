@@ -3,44 +3,191 @@ const elements = {
     submitButton: document.querySelector('.submit-btn'),
     messageArea: document.querySelector('.message-area'),
     resetButton: document.querySelector('.reset-btn'),
+    statsButton: document.querySelector('.stats-btn'),
+    hardModeToggle: document.querySelector('.hard-mode-toggle'),
+    highContrastToggle: document.querySelector('.high-contrast-toggle'),
+    reducedMotionToggle: document.querySelector('.reduced-motion-toggle'),
+    wordLengthSelect: document.querySelector('.word-length-select'),
+    maxGuessesInput: document.querySelector('.max-guesses-input'),
+    boardCountSelect: document.querySelector('.board-count-select'),
+    timerModeSelect: document.querySelector('.timer-mode-select'),
+    timer: document.querySelector('.game-timer'),
+    playModeSelect: document.querySelector('.play-mode-select'),
+    languageSelect: document.querySelector('.language-select'),
+    versusScore: document.querySelector('.versus-score'),
+    historyButton: document.querySelector('.history-btn'),
+    historyDialog: document.querySelector('.history-dialog'),
+    replay: document.querySelector('.replay'),
+    replayTitle: document.querySelector('.replay-title'),
+    replayBoard: document.querySelector('.replay-board'),
+    replayBackButton: document.querySelector('.replay-back-btn'),
+    replayPlayButton: document.querySelector('.replay-play-btn'),
+    replayNextButton: document.querySelector('.replay-next-btn'),
+    gameBoard: document.querySelector('.game-board'),
+    keyboard: document.querySelector('.keyboard'),
+    shareButton: document.querySelector('.share-btn'),
+    hintButton: document.querySelector('.hint-btn'),
+    challengeInput: document.querySelector('.challenge-input'),
+    challengeButton: document.querySelector('.challenge-btn'),
+    subtitle: document.querySelector('.game-subtitle'),
     loadingIndicator: document.querySelector('.loading')
 }
 
 console.log('✅ DOM Elements Selected:', elements);
 
+/* ----------------------------- Game Config ----------------------------- */
+const WORD_LENGTH_RANGE = { min: 4, max: 8 };
+const MAX_GUESSES_RANGE = { min: 1, max: 12 };
+const BOARD_COUNTS = [1, 4];
+
+// Timed modes: 'countdown' solves one game before the clock runs out,
+// 'speed-run' solves as many words in a row as possible before it does
+const TIMER_MODES = {
+    off: null,
+    countdown: { durationMs: 2 * 60 * 1000 },
+    'speed-run': { durationMs: 5 * 60 * 1000 }
+};
+// Time taken off the clock for a guess that isn't a word (or breaks hard mode)
+const INVALID_GUESS_PENALTY_MS = 10 * 1000;
+
+// 'solo' fetches the secret word, the two-player modes let a player type it (see two-player.js)
+const PLAY_MODES = ['solo', 'pass-and-play', 'versus'];
+
+// Keep a saved setting inside its range, falling back to the default if it isn't a whole number
+function toSettingInRange(value, { min, max }, fallback) {
+    if (!Number.isInteger(value)) return fallback;
+    return Math.min(max, Math.max(min, value));
+}
+
+// Languages other than English only have words of some lengths (see languages.js)
+function toPlayableWordLength(wordLength, language) {
+    const wordLengths = getLanguageWordLengths(language);
+    return wordLengths.includes(wordLength) ? wordLength : wordLengths[0];
+}
+
+// wordProvider: 'api' (words.dev-apis.com) or 'local' (bundled dictionary, works offline)
+// Override from the URL for a single session, e.g. index.html?provider=local
+// hardMode, wordLength, maxGuesses, boardCount, timerMode, playMode: chosen in the settings bar and saved between sessions
+// boardCount > 1 is multi-board mode: every guess is played on all boards at once
+// highContrast, reducedMotion: display settings, also saved, that can change at any time
+// language: the word lists, alphabet and page text (see languages.js), also saved
+const savedSettings = loadSettings();
+const gameConfig = {
+    wordProvider: new URLSearchParams(window.location.search).get('provider') || 'api',
+    hardMode: savedSettings.hardMode,
+    wordLength: toSettingInRange(savedSettings.wordLength, WORD_LENGTH_RANGE, DEFAULT_SETTINGS.wordLength),
+    maxGuesses: toSettingInRange(savedSettings.maxGuesses, MAX_GUESSES_RANGE, DEFAULT_SETTINGS.maxGuesses),
+    boardCount: BOARD_COUNTS.includes(savedSettings.boardCount) ? savedSettings.boardCount : DEFAULT_SETTINGS.boardCount,
+    timerMode: Object.keys(TIMER_MODES).includes(savedSettings.timerMode) ? savedSettings.timerMode : DEFAULT_SETTINGS.timerMode,
+    playMode: PLAY_MODES.includes(savedSettings.playMode) ? savedSettings.playMode : DEFAULT_SETTINGS.playMode,
+    highContrast: savedSettings.highContrast,
+    reducedMotion: savedSettings.reducedMotion,
+    language: Object.keys(LANGUAGES).includes(savedSettings.language) ? savedSettings.language : DEFAULT_SETTINGS.language
+};
+gameConfig.wordLength = toPlayableWordLength(gameConfig.wordLength, gameConfig.language);
+
+const wordProvider = createWordProvider(gameConfig.wordProvider);
+// Used when the configured provider has no words of the chosen length
+const fallbackWordProvider = createWordProvider('local');
+// The API only knows English, other languages always use their bundled word lists
+const languageWordProviders = {};
+
+console.log('✅ Game Config:', gameConfig);
+
 /* ----------------------------- Game State ----------------------------- */
-let gameState = {
-    secretWord: '',
-    guesses: [],
-    currentRow: 0,
-    maxGuesses: 6,
-    gameOver: false
+// Each board has its own secret word, guesses and solved flag.
+// A board stops taking guesses once it is solved; currentRow is the shared row being typed.
+function createBoard(secretWord, puzzleNumber = null) {
+    return {
+        secretWord,
+        puzzleNumber, // null for challenge games
+        guesses: [],
+        solved: false
+    };
 }
 
+// Every extra board gets one extra guess, so 4 boards with 6 guesses allow 9
+function getMaxGuesses(boardCount) {
+    return gameConfig.maxGuesses + boardCount - 1;
+}
+
+// Each game copies its size from the config,
+// so changing the settings never affects a game that is already running
+function createGameState(boardCount = gameConfig.boardCount) {
+    return {
+        boards: [], // filled in by fetchSecretWords()
+        boardCount,
+        currentRow: 0,
+        wordLength: gameConfig.wordLength,
+        maxGuesses: getMaxGuesses(boardCount),
+        timerMode: gameConfig.timerMode,
+        playMode: gameConfig.playMode,
+        language: gameConfig.language,
+        startedAt: Date.now(),
+        guessTimes: [], // when each row was played, for the history archive
+        gameOver: false,
+        won: false
+    };
+}
+
+let gameState = createGameState();
+
 console.log('✅ Initial Game State:', gameState);
 
-/* ----------------------------- API Functions ----------------------------- */
-async function fetchSecretWord() {
+function getActiveBoardIndex() {
+    const index = gameState.boards.findIndex(board => !board.solved);
+    return index === -1 ? 0 : index;
+}
+
+// Guesses of every board, e.g. for colouring the keyboard
+function getAllGuesses() {
+    return gameState.boards.flatMap(board => board.guesses);
+}
+
+/* ----------------------------- Word Provider ----------------------------- */
+function getWordProviderFor(wordLength, language = gameState.language) {
+    if (language === DEFAULT_LANGUAGE) {
+        return wordProvider.wordLengths.includes(wordLength) ? wordProvider : fallbackWordProvider;
+    }
+    
+    if (!languageWordProviders[language]) {
+        const { dictionary, locale } = getLanguage(language);
+        languageWordProviders[language] = createWordProvider('local', { dictionary, locale });
+    }
+    return languageWordProviders[language];
+}
+
+// One different secret word per board
+async function fetchSecretWords() {
     try {
         showLoading(true);
-        // Using random=1 for different words each game
-        const response = await fetch('https://words.dev-apis.com/word-of-the-day?random=1');
+        const provider = getWordProviderFor(gameState.wordLength);
+        if (provider === fallbackWordProvider && provider !== wordProvider) {
+            console.warn(`⚠️ "${wordProvider.name}" has no ${gameState.wordLength}-letter words, using "${provider.name}"`);
+        }
         
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
+        const boards = [];
+        const maxAttempts = gameState.boardCount * 10;
+        for (let attempt = 0; boards.length < gameState.boardCount && attempt < maxAttempts; attempt++) {
+            const { word, puzzleNumber } = await provider.getSecretWord(gameState.wordLength);
+            if (boards.some(board => board.secretWord === word)) continue;
+            
+            boards.push(createBoard(word, puzzleNumber));
+            console.log('📊 Puzzle number:', puzzleNumber);
         }
         
-        const data = await response.json();
-        gameState.secretWord = data.word.toUpperCase();
+        if (boards.length < gameState.boardCount) {
+            throw new Error(`Could not find ${gameState.boardCount} different words`);
+        }
         
-        console.log('✅ Secret word fetched successfully');
-        console.log('📊 Puzzle number:', data.puzzleNumber);
-        // Don't log the actual word to keep it secret!
+        gameState.boards = boards;
+        console.log('✅ Secret words fetched successfully:', boards.length);
+        // Don't log the actual words to keep them secret!
         
-        return gameState.secretWord;
+        return boards;
     } catch (error) {
         console.error('❌ Error fetching word:', error);
-        showMessage('Failed to load word. Please refresh the page.', 'error');
+        showMessage(t('loadFailed'), 'error');
         throw error;
     } finally {
         showLoading(false);
@@ -49,39 +196,36 @@ async function fetchSecretWord() {
 
 async function validateWord(word) {
     try {
-        const response = await fetch('https://words.dev-apis.com/validate-word', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({ word: word.toLowerCase() })
-        });
-        
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        
-        const data = await response.json();
-        console.log('✅ Word validation result:', data.validWord);
-        return data.validWord;
+        const isValid = await getWordProviderFor(word.length).isValidWord(word);
+        console.log('✅ Word validation result:', isValid);
+        return isValid;
     } catch (error) {
         console.error('❌ Error validating word:', error);
-        showMessage('Error checking word. Please try again.', 'error');
+        showMessage(t('checkFailed'), 'error');
         return false;
     }
 }
 
 /* ----------------------------- Input Validation ----------------------------- */
-function isValidInput(guess) {
-    // Check if exactly 5 letters
-    if (guess.length !== 5) {
-        showMessage('Please enter exactly 5 letters', 'error');
-        return false;
+// Returns an error message, or null if the letters can be played
+function getInputError(word) {
+    // Check the word has the same length as the secret word
+    if (word.length !== gameState.wordLength) {
+        return t('exactLetters', { count: gameState.wordLength });
     }
     
-    // Check if only letters (no numbers or special characters)
-    if (!/^[A-Za-z]+$/.test(guess)) {
-        showMessage('Please use only letters', 'error');
+    // Check if only letters of the game's alphabet (no numbers or special characters)
+    if (!isAlphabetWord(word, gameState.language)) {
+        return t('onlyLetters');
+    }
+    
+    return null;
+}
+
+function isValidInput(guess) {
+    const error = getInputError(guess);
+    if (error) {
+        showMessage(error, 'error');
         return false;
     }
     
@@ -89,65 +233,121 @@ function isValidInput(guess) {
 }
 
 /* ----------------------------- Game Logic ----------------------------- */
-function processGuess(guess) {
-    const result = [];
-    const secretArray = gameState.secretWord.split('');
-    const guessArray = guess.toUpperCase().split('');
-    
-    console.log('🔍 Processing guess:', guessArray.join(''));
-    console.log('🎯 Against word:', secretArray.join(''));
-    
-    // Create a copy to track used letters for yellow highlighting
-    const secretLetterCount = {};
-    secretArray.forEach(letter => {
-        secretLetterCount[letter] = (secretLetterCount[letter] || 0) + 1;
+// Scoring and win/loss rules live in the shared engine (../shared/word-game-engine.js),
+// one engine game per board. gameState mirrors their guesses and status for the rest of the UI.
+let wordGames = [];
+
+// Start an engine game per board, replaying earlier guesses when resuming
+function startWordGames(guessWordsPerBoard = []) {
+    wordGames = gameState.boards.map((board, boardIndex) => WordGameEngine.createWordGame({
+        secretWord: board.secretWord,
+        maxGuesses: gameState.maxGuesses,
+        guesses: guessWordsPerBoard[boardIndex] || [],
+        locale: getLanguage(gameState.language).locale
+    }));
+    syncGameState();
+}
+
+// The game is over once no board is still being played, and won only if every board was solved
+function syncGameState() {
+    const states = wordGames.map(game => game.getState());
+    
+    states.forEach(({ guesses, status }, boardIndex) => {
+        gameState.boards[boardIndex].guesses = guesses;
+        gameState.boards[boardIndex].solved = status === WordGameEngine.STATUS.WON;
     });
     
-    // First pass: Mark correct positions (green)
-    for (let i = 0; i < 5; i++) {
-        if (guessArray[i] === secretArray[i]) {
-            result[i] = 'correct'; // Green
-            secretLetterCount[guessArray[i]]--;
-        }
-    }
+    gameState.currentRow = Math.max(...states.map(state => state.currentRow));
+    gameState.gameOver = states.every(state => state.status !== WordGameEngine.STATUS.PLAYING);
+    gameState.won = states.every(state => state.status === WordGameEngine.STATUS.WON);
+}
+
+/* ----------------------------- UI Updates ----------------------------- */
+function getRowElement(rowIndex, boardIndex = getActiveBoardIndex(), container = elements.gameBoard) {
+    return container.querySelector(`.board[data-board="${boardIndex}"] [data-row="${rowIndex}"]`);
+}
+
+// Fill container with one .board per secret word, each with one .guess-row per allowed guess
+// and one .letter-box per letter. The replay viewer builds its boards the same way.
+function createBoardElements(container, { wordLength, maxGuesses, boardCount }) {
+    container.innerHTML = '';
+    container.style.setProperty('--word-length', wordLength);
+    container.style.setProperty('--board-columns', boardCount > 1 ? 2 : 1);
+    container.classList.toggle('multi-board', boardCount > 1);
     
-    // Second pass: Mark wrong positions (yellow) and wrong letters (gray)
-    for (let i = 0; i < 5; i++) {
-        if (result[i] === 'correct') continue; // Already marked as correct
+    for (let boardIndex = 0; boardIndex < boardCount; boardIndex++) {
+        const board = document.createElement('div');
+        board.className = 'board';
+        board.dataset.board = boardIndex;
+        board.setAttribute('role', 'group');
+        board.setAttribute('aria-label', t('boardLabel', { board: boardIndex + 1 }));
         
-        if (secretLetterCount[guessArray[i]] > 0) {
-            result[i] = 'present'; // Yellow - letter exists but wrong position
-            secretLetterCount[guessArray[i]]--;
-        } else {
-            result[i] = 'absent'; // Gray - letter not in word
+        for (let rowIndex = 0; rowIndex < maxGuesses; rowIndex++) {
+            const row = document.createElement('div');
+            row.className = 'guess-row';
+            row.dataset.row = rowIndex;
+            row.setAttribute('role', 'group');
+            row.setAttribute('aria-label', t('rowLabel', { row: rowIndex + 1 }));
+            
+            for (let position = 0; position < wordLength; position++) {
+                const letterBox = document.createElement('input');
+                letterBox.className = 'letter-box';
+                letterBox.type = 'text';
+                letterBox.maxLength = 1;
+                letterBox.dataset.position = position;
+                letterBox.setAttribute('aria-label', t('letterLabel', { position: position + 1 }));
+                letterBox.disabled = true;
+                row.appendChild(letterBox);
+            }
+            
+            board.appendChild(row);
         }
+        
+        container.appendChild(board);
     }
-    
-    console.log('📊 Result pattern:', result);
-    return result;
 }
 
-function checkWinCondition(guess) {
-    const isWin = guess.toUpperCase() === gameState.secretWord;
-    console.log('🏆 Check win:', isWin);
-    return isWin;
+function renderGameBoard() {
+    const { wordLength, maxGuesses, boardCount } = gameState;
+    
+    createBoardElements(elements.gameBoard, gameState);
+    renderSubtitle();
+    renderGameKeyboard();
+    
+    console.log('✅ Game board rendered:', boardCount, 'boards of', maxGuesses, 'rows of', wordLength);
 }
 
-/* ----------------------------- UI Updates ----------------------------- */
-function updateGameBoard(guess, result) {
-    const currentRow = document.querySelector(`[data-row="${gameState.currentRow}"]`);
-    
-    if (!currentRow) {
-        console.error('❌ Current row not found');
-        return;
-    }
+function renderSubtitle() {
+    if (!elements.subtitle) return;
     
-    const letterBoxes = currentRow.querySelectorAll('.letter-box');
+    const { wordLength, maxGuesses, boardCount } = gameState;
+    elements.subtitle.textContent = boardCount > 1
+        ? t('subtitleMultiBoard', { boards: boardCount, length: wordLength, count: maxGuesses })
+        : t('subtitle', { length: wordLength, count: maxGuesses });
+}
+
+// The keys follow the language of the game, their labels the language of the page
+function renderGameKeyboard() {
+    renderKeyboard(elements.keyboard, handleKeyboardKey, getLanguage(gameState.language).keyboardRows, {
+        enter: t('keyEnter'),
+        backspace: t('keyBackspace')
+    });
+    updateKeyboard(elements.keyboard, getAllGuesses());
+}
+
+// Colour a row's letters, with the flip animation unless animate is false
+function revealGuess(row, guess, result, animate = true) {
+    const letterBoxes = row.querySelectorAll('.letter-box');
     
-    guess.toUpperCase().split('').forEach((letter, index) => {
+    Array.from(guess).forEach((letter, index) => {
         if (letterBoxes[index]) {
             letterBoxes[index].value = letter;
             letterBoxes[index].classList.add(result[index]);
+            letterBoxes[index].disabled = true;
+            // The colour alone means nothing to a screen reader (the results are page text keys too)
+            letterBoxes[index].setAttribute('aria-label', t('revealedLetterLabel', { position: index + 1, letter, result: t(result[index]) }));
+            
+            if (!animate) return;
             
             // Add flip animation
             letterBoxes[index].classList.add('flip');
@@ -158,8 +358,56 @@ function updateGameBoard(guess, result) {
             }, 600);
         }
     });
+}
+
+function updateGameBoard(boardIndex, guess, result) {
+    const currentRow = getRowElement(gameState.currentRow, boardIndex);
+    
+    if (!currentRow) {
+        console.error('❌ Current row not found');
+        return;
+    }
+    
+    revealGuess(currentRow, guess, result);
+    announceGuess(boardIndex, guess, result);
+    
+    console.log('✅ Board', boardIndex, 'updated for row', gameState.currentRow);
+}
+
+// e.g. "C correct, R present, A absent, N absent, E absent"
+function describeGuess(guess, result) {
+    return Array.from(guess).map((letter, index) => `${letter} ${t(result[index])}`).join(', ');
+}
+
+// Guess results waiting to be read out. handleSubmit always shows a message after a guess
+// (next guess, game over...), and showMessage puts these in front of it for screen readers.
+let pendingAnnouncements = [];
+
+function announceGuess(boardIndex, guess, result) {
+    const prefix = gameState.boardCount > 1 ? `${t('boardLabel', { board: boardIndex + 1 })}: ` : '';
+    pendingAnnouncements.push(`${prefix}${describeGuess(guess, result)}.`);
+}
+
+function markSolvedBoards() {
+    gameState.boards.forEach((board, boardIndex) => {
+        const boardElement = elements.gameBoard.querySelector(`.board[data-board="${boardIndex}"]`);
+        if (boardElement) {
+            boardElement.classList.toggle('solved', board.solved);
+        }
+    });
+}
+
+// Rebuild the rows of a saved game without animations
+function restoreGameBoard() {
+    gameState.boards.forEach((board, boardIndex) => {
+        board.guesses.forEach(({ word, result }, rowIndex) => {
+            const row = getRowElement(rowIndex, boardIndex);
+            if (row) revealGuess(row, word, result, false);
+        });
+    });
+    markSolvedBoards();
     
-    console.log('✅ Game board updated for row', gameState.currentRow);
+    console.log('✅ Game board restored at row', gameState.currentRow);
 }
 
 function showMessage(message, type = 'info') {
@@ -167,6 +415,15 @@ function showMessage(message, type = 'info') {
         elements.messageArea.textContent = message;
         elements.messageArea.className = `message-area ${type}`;
         
+        // Guess results are only read out, the tiles already show them on screen
+        if (pendingAnnouncements.length > 0) {
+            const announcement = document.createElement('span');
+            announcement.className = 'visually-hidden';
+            announcement.textContent = `${pendingAnnouncements.join(' ')} `;
+            elements.messageArea.prepend(announcement);
+            pendingAnnouncements = [];
+        }
+        
         // Clear message after 3 seconds for non-critical messages
         if (type === 'info') {
             setTimeout(() => {
@@ -188,45 +445,82 @@ function showLoading(show) {
     }
 }
 
-function endGame(won) {
-    gameState.gameOver = true;
+function endGame(won, { timeUp = false } = {}) {
+    clearSavedGame();
+    
+    const elapsedMs = gameTimer ? gameTimer.getElapsed() : 0;
+    stopGameTimer();
+    
+    archiveGame(createHistoryEntry(gameState, { won, hardMode: gameConfig.hardMode && gameState.boardCount === 1 }));
     
     // Disable all inputs
     document.querySelectorAll('.letter-box').forEach(input => {
         input.disabled = true;
     });
     
-    if (won) {
-        showMessage(`🎉 Congratulations! You found the word: ${gameState.secretWord}`, 'success');
+    const { boards } = gameState;
+    const words = boards.map(board => board.secretWord).join(', ');
+    const solvedCount = boards.filter(board => board.solved).length;
+    
+    if (TIMER_MODES[gameState.timerMode]) {
+        endTimedGame(won, { timeUp, elapsedMs, words });
+        return;
+    }
+    if (gameState.playMode !== 'solo') {
+        endTwoPlayerGame(won, words);
+        return;
+    }
+    
+    if (boards.length === 1) {
+        if (won) {
+            showMessage(t('won', { words }), 'success');
+        } else {
+            showMessage(t('lost', { words }), 'error');
+        }
+    } else if (won) {
+        showMessage(t('wonAllBoards', { count: boards.length, words }), 'success');
     } else {
-        showMessage(`😔 Game over! The word was: ${gameState.secretWord}`, 'error');
+        showMessage(t('lostBoards', { solved: solvedCount, count: boards.length, words }), 'error');
     }
     
-    console.log('🏁 Game ended. Won:', won);
+    // Record the result and show the summary once the last row has flipped
+    const finishedGame = gameState;
+    const guessCount = finishedGame.currentRow;
+    const stats = recordGameResult(won, guessCount, finishedGame.boardCount);
+    setTimeout(() => {
+        // Skip if a new game was started in the meantime
+        if (gameState !== finishedGame) return;
+        showStatsDialog(stats, finishedGame.maxGuesses, won ? guessCount : null);
+    }, 700);
+    
+    console.log('🏁 Game ended. Won:', won, '| Boards solved:', solvedCount);
 }
 
 /* ----------------------------- Event Handlers ----------------------------- */
 async function handleSubmit(event) {
     if (event) event.preventDefault();
     
+    // No game yet while new words are loading
+    if (wordGames.length === 0) return;
+    
     if (gameState.gameOver) {
-        showMessage('Game is over. Click "New Game" to play again.', 'info');
+        showMessage(t('gameIsOver'), 'info');
         return;
     }
     
-    // Collect guess from current row inputs
-    const currentRow = document.querySelector(`[data-row="${gameState.currentRow}"]`);
+    // Collect guess from the current row of the active board
+    const currentRow = getRowElement(gameState.currentRow);
     if (!currentRow) {
         console.error('❌ Current row not found');
         return;
     }
     
     const inputs = currentRow.querySelectorAll('.letter-box');
-    const guessArray = Array.from(inputs).map(input => input.value.trim().toUpperCase());
+    const guessArray = Array.from(inputs).map(input => toGameWord(input.value.trim(), gameState.language));
     
     // Check if all boxes are filled
     if (guessArray.some(letter => letter === '')) {
-        showMessage('Please fill all letter boxes', 'error');
+        showMessage(t('fillAllBoxes'), 'error');
         currentRow.classList.add('shake');
         setTimeout(() => currentRow.classList.remove('shake'), 500);
         return;
@@ -244,53 +538,85 @@ async function handleSubmit(event) {
         return;
     }
     
+    // Hard mode: revealed hints must be reused (checked before the API call).
+    // Single board only, hints from different boards could contradict each other.
+    if (gameConfig.hardMode && gameState.boardCount === 1) {
+        const violation = getHardModeViolation(guess, gameState.boards[0].guesses);
+        if (violation) {
+            showInvalidGuess(violation);
+            currentRow.classList.add('shake');
+            setTimeout(() => currentRow.classList.remove('shake'), 500);
+            return;
+        }
+    }
+    
     // Disable submit button during validation
     if (elements.submitButton) {
         elements.submitButton.disabled = true;
     }
     
     try {
-        // Validate if it's a real word
+        // Validate if it's a real word. The clock doesn't run while waiting on the network.
+        const game = gameState;
+        const timer = gameTimer;
+        if (timer) timer.pause();
         const isValid = await validateWord(guess);
+
+        // New Game while we waited: the guess belongs to a game that is gone
+        if (gameState !== game) {
+            console.log('🔤 Guess dropped, a new game was started:', guess);
+            return;
+        }
+        if (timer) timer.resume();
+
         if (!isValid) {
-            showMessage('Not a valid English word', 'error');
+            showInvalidGuess(t('notAWord'));
             currentRow.classList.add('shake');
             setTimeout(() => currentRow.classList.remove('shake'), 500);
             return;
         }
         
-        // Process the guess
-        const result = processGuess(guess);
-        updateGameBoard(guess, result);
-        
-        // Add to guesses array
-        gameState.guesses.push({
-            word: guess,
-            result: result
+        // Score the guess on every board that is still being played
+        const solvedBefore = gameState.boards.map(board => board.solved);
+        wordGames.forEach((game, boardIndex) => {
+            const { accepted, guess: scoredGuess } = game.submitGuess(guess);
+            if (!accepted) return; // Board already solved
+            
+            console.log('📊 Result pattern for board', boardIndex, scoredGuess.result);
+            updateGameBoard(boardIndex, scoredGuess.word, scoredGuess.result);
         });
+        gameState.guessTimes.push(Date.now());
+        
+        // Move gameState to the next row
+        syncGameState();
+        markSolvedBoards();
+        updateKeyboard(elements.keyboard, getAllGuesses());
         
-        // Check win condition
-        if (checkWinCondition(guess)) {
-            endGame(true);
+        // Check win / out of guesses. A win in a speed run goes straight on to the next word.
+        if (gameState.gameOver) {
+            if (gameState.won && gameState.timerMode === 'speed-run') {
+                await startNextSpeedRunWord();
+            } else {
+                endGame(gameState.won);
+            }
             return;
         }
         
-        // Move to next row
-        gameState.currentRow++;
-        
-        // Check if out of guesses
-        if (gameState.currentRow >= gameState.maxGuesses) {
-            endGame(false);
-            return;
+        // Save progress so a reload can pick up from here
+        if (canResumeGame()) {
+            saveGame(gameState);
         }
         
         // Enable next row and focus first input
         enableCurrentRow();
-        showMessage(`Guess ${gameState.currentRow + 1} of ${gameState.maxGuesses}`, 'info');
+        
+        const newlySolved = gameState.boards.findIndex((board, index) => board.solved && !solvedBefore[index]);
+        const progress = t('guessProgress', { row: gameState.currentRow + 1, total: gameState.maxGuesses });
+        showMessage(newlySolved === -1 ? progress : t('boardSolved', { board: newlySolved + 1, progress }), 'info');
         
     } catch (error) {
         console.error('❌ Error during submit:', error);
-        showMessage('An error occurred. Please try again.', 'error');
+        showMessage(t('submitFailed'), 'error');
     } finally {
         // Re-enable submit button
         if (elements.submitButton) {
@@ -299,20 +625,630 @@ async function handleSubmit(event) {
     }
 }
 
+// Keys from the on-screen keyboard feed the active row
+function handleKeyboardKey(key) {
+    if (gameState.gameOver) return;
+    
+    if (key === 'Enter') {
+        // Ignore while a guess is still being validated
+        if (!elements.submitButton || !elements.submitButton.disabled) {
+            handleSubmit();
+        }
+        return;
+    }
+    
+    const currentRow = getRowElement(gameState.currentRow);
+    if (!currentRow) return;
+    
+    const inputs = Array.from(currentRow.querySelectorAll('.letter-box'));
+    
+    if (key === 'Backspace') {
+        const lastFilled = inputs.filter(input => input.value).pop();
+        if (lastFilled) lastFilled.value = '';
+    } else {
+        const firstEmpty = inputs.find(input => !input.value);
+        if (firstEmpty) firstEmpty.value = key;
+    }
+    
+    mirrorCurrentRow();
+}
+
+/* ----------------------------- Hints ----------------------------- */
+// One solver per language and word length, built from the bundled word lists on first use.
+// null if the language has no words of that length (e.g. a 7-letter Spanish challenge).
+const solvers = {};
+
+function getSolver(wordLength, language) {
+    const key = `${language}:${wordLength}`;
+    const { dictionary, locale } = getLanguage(language);
+    
+    if (!dictionary[wordLength]) return null;
+    if (!solvers[key]) {
+        solvers[key] = createSolver(dictionary[wordLength], { locale });
+    }
+    return solvers[key];
+}
+
+// First press on a row: how many words are still possible. Second press: a suggested word.
+// With several boards the suggestion is for the unsolved board with the fewest possible words.
+let hintState = { row: -1, level: 0 };
+
+function handleHint() {
+    if (gameState.gameOver) {
+        showMessage(t('gameIsOver'), 'info');
+        return;
+    }
+    
+    if (hintState.row !== gameState.currentRow) {
+        hintState = { row: gameState.currentRow, level: 0 };
+    }
+    
+    const solver = getSolver(gameState.wordLength, gameState.language);
+    if (!solver) {
+        showMessage(t('hintUnknownWord'), 'info');
+        return;
+    }
+    
+    const openBoards = gameState.boards
+        .map((board, boardIndex) => ({
+            boardIndex,
+            guesses: board.guesses,
+            remaining: board.solved ? 0 : solver.getCandidates(board.guesses).length
+        }))
+        .filter(({ boardIndex }) => !gameState.boards[boardIndex].solved);
+    
+    if (openBoards.some(({ remaining }) => remaining === 0)) {
+        showMessage(t('hintUnknownWord'), 'info');
+        return;
+    }
+    
+    if (hintState.level === 0) {
+        if (gameState.boardCount === 1) {
+            const { remaining } = openBoards[0];
+            showMessage(t('hintRemaining', { count: remaining }), 'info');
+        } else {
+            const counts = gameState.boards.map((board, boardIndex) => {
+                const open = openBoards.find(openBoard => openBoard.boardIndex === boardIndex);
+                return open ? open.remaining : '✓';
+            });
+            showMessage(t('hintRemainingPerBoard', { counts: counts.join(' · ') }), 'info');
+        }
+    } else {
+        const target = openBoards.reduce((best, board) => (board.remaining < best.remaining ? board : best));
+        const hardMode = gameConfig.hardMode && gameState.boardCount === 1;
+        const suggestion = solver.suggestGuess(target.guesses, { hardMode });
+        const params = { word: suggestion.word, board: target.boardIndex + 1, remaining: suggestion.remaining };
+        showMessage(t(gameState.boardCount > 1 ? 'hintSuggestionBoard' : 'hintSuggestion', params), 'info');
+    }
+    
+    hintState.level = Math.min(hintState.level + 1, 1);
+    console.log('💡 Hint level', hintState.level, 'used on row', gameState.currentRow);
+}
+
+/* ----------------------------- Sharing ----------------------------- */
+async function handleShare() {
+    if (!gameState.gameOver) {
+        showMessage(t('shareUnfinished'), 'info');
+        return;
+    }
+    
+    const text = buildShareText({
+        boards: gameState.boards,
+        maxGuesses: gameState.maxGuesses,
+        won: gameState.won,
+        hardMode: gameConfig.hardMode && gameState.boardCount === 1
+    });
+    const copied = await copyToClipboard(text);
+    
+    // The message area is hidden behind the stats dialog, so answer on the button itself
+    if (elements.shareButton) {
+        const label = elements.shareButton.textContent;
+        elements.shareButton.textContent = copied ? t('copied') : t('copyFailed');
+        setTimeout(() => {
+            elements.shareButton.textContent = label;
+        }, 2000);
+    }
+    console.log('📋 Share text:', text);
+}
+
+async function handleCreateChallenge() {
+    const word = toGameWord(elements.challengeInput.value.trim(), gameState.language);
+    const { min, max } = WORD_LENGTH_RANGE;
+    
+    if (!isAlphabetWord(word, gameState.language) || word.length < min || word.length > max) {
+        showMessage(t('challengeLength', { min, max }), 'error');
+        return;
+    }
+    
+    elements.challengeButton.disabled = true;
+    try {
+        if (!(await validateWord(word))) {
+            showMessage(t('notAWord'), 'error');
+            return;
+        }
+        
+        const url = createChallengeUrl(word, gameState.language);
+        const copied = await copyToClipboard(url);
+        elements.challengeInput.value = '';
+        
+        // If the clipboard isn't available, show the link so it can be copied by hand
+        showMessage(copied ? t('challengeCopied') : url, copied ? 'success' : 'info');
+        console.log('🔗 Challenge link created');
+    } finally {
+        elements.challengeButton.disabled = false;
+    }
+}
+
+/* ----------------------------- Settings ----------------------------- */
+function isGameInProgress() {
+    return gameState.currentRow > 0 && !gameState.gameOver;
+}
+
+function handleHardModeToggle(event) {
+    // Switching mid-game would let players drop hints they already have
+    const gameInProgress = isGameInProgress();
+    if (gameInProgress) {
+        event.target.checked = gameConfig.hardMode;
+        showMessage(t('hardModeLocked'), 'error');
+        return;
+    }
+    
+    gameConfig.hardMode = event.target.checked;
+    saveSettings({ hardMode: gameConfig.hardMode });
+    const key = !gameConfig.hardMode ? 'hardModeOff' : gameConfig.boardCount > 1 ? 'hardModeOnMultiBoard' : 'hardModeOn';
+    showMessage(t(key), 'info');
+    console.log('⚙️ Hard mode:', gameConfig.hardMode);
+}
+
+// Display settings apply straight away, even in the middle of a game
+function applyDisplaySettings() {
+    document.documentElement.classList.toggle('high-contrast', gameConfig.highContrast);
+    document.documentElement.classList.toggle('reduced-motion', gameConfig.reducedMotion);
+}
+
+function handleDisplaySettingChange() {
+    gameConfig.highContrast = elements.highContrastToggle.checked;
+    gameConfig.reducedMotion = elements.reducedMotionToggle.checked;
+    saveSettings({ highContrast: gameConfig.highContrast, reducedMotion: gameConfig.reducedMotion });
+    applyDisplaySettings();
+    console.log('⚙️ Display:', { highContrast: gameConfig.highContrast, reducedMotion: gameConfig.reducedMotion });
+}
+
+// Word length, guess count and board count start a new game when changed,
+// unless a game is in progress, in which case they apply to the next one
+function handleBoardSizeChange() {
+    const wordLength = toPlayableWordLength(
+        toSettingInRange(Number(elements.wordLengthSelect.value), WORD_LENGTH_RANGE, gameConfig.wordLength),
+        gameConfig.language
+    );
+    const maxGuesses = toSettingInRange(Number(elements.maxGuessesInput.value), MAX_GUESSES_RANGE, gameConfig.maxGuesses);
+    const selectedBoards = Number(elements.boardCountSelect ? elements.boardCountSelect.value : gameConfig.boardCount);
+    const boardCount = BOARD_COUNTS.includes(selectedBoards) ? selectedBoards : gameConfig.boardCount;
+    
+    elements.wordLengthSelect.value = wordLength;
+    elements.maxGuessesInput.value = maxGuesses;
+    if (elements.boardCountSelect) elements.boardCountSelect.value = boardCount;
+    
+    if (wordLength === gameConfig.wordLength &&
+        maxGuesses === gameConfig.maxGuesses &&
+        boardCount === gameConfig.boardCount) return;
+    
+    gameConfig.wordLength = wordLength;
+    gameConfig.maxGuesses = maxGuesses;
+    gameConfig.boardCount = boardCount;
+    saveSettings({ wordLength, maxGuesses, boardCount });
+    console.log('⚙️ Board size:', boardCount, 'boards,', wordLength, 'letters,', maxGuesses, 'guesses');
+    
+    if (isGameInProgress()) {
+        showMessage(t('boardSizeNextGame'), 'info');
+    } else {
+        resetGame();
+    }
+}
+
+// Word lengths the language has no words for can't be picked
+function updateWordLengthOptions() {
+    if (!elements.wordLengthSelect) return;
+    
+    const wordLengths = getLanguageWordLengths(gameConfig.language);
+    Array.from(elements.wordLengthSelect.options).forEach(option => {
+        option.disabled = !wordLengths.includes(Number(option.value));
+    });
+    elements.wordLengthSelect.value = gameConfig.wordLength;
+}
+
+// The page text switches straight away; the words, like the board size, only when no game is in progress
+function handleLanguageChange(event) {
+    const language = Object.keys(LANGUAGES).includes(event.target.value) ? event.target.value : gameConfig.language;
+    if (language === gameConfig.language) return;
+    
+    gameConfig.language = language;
+    gameConfig.wordLength = toPlayableWordLength(gameConfig.wordLength, language);
+    saveSettings({ language, wordLength: gameConfig.wordLength });
+    setPageLanguage(language);
+    updateWordLengthOptions();
+    console.log('⚙️ Language:', language);
+    
+    if (isGameInProgress()) {
+        renderSubtitle();
+        renderGameKeyboard();
+        showMessage(t('languageNextGame'), 'info');
+    } else {
+        resetGame();
+    }
+}
+
+function handleTimerModeChange(event) {
+    const timerMode = Object.keys(TIMER_MODES).includes(event.target.value) ? event.target.value : gameConfig.timerMode;
+    
+    // Switching mid-game would stop or start the clock halfway through
+    if (isGameInProgress() || speedRunScore > 0) {
+        event.target.value = gameConfig.timerMode;
+        showMessage(t('timerModeLocked'), 'error');
+        return;
+    }
+    
+    gameConfig.timerMode = timerMode;
+    saveSettings({ timerMode });
+    console.log('⚙️ Timer mode:', timerMode);
+    resetGame();
+}
+
+function handlePlayModeChange(event) {
+    const playMode = PLAY_MODES.includes(event.target.value) ? event.target.value : gameConfig.playMode;
+    
+    if (isGameInProgress()) {
+        event.target.value = gameConfig.playMode;
+        showMessage(t('playModeLocked'), 'error');
+        return;
+    }
+    
+    setPlayMode(playMode);
+    resetGame();
+}
+
+function setPlayMode(playMode) {
+    gameConfig.playMode = playMode;
+    saveSettings({ playMode });
+    if (elements.playModeSelect) {
+        elements.playModeSelect.value = playMode;
+    }
+    // A new versus match starts from 0 - 0
+    versusMatch = createVersusMatch();
+    console.log('⚙️ Play mode:', playMode);
+}
+
+// Timed and two-player games can't be resumed after a reload
+function canResumeGame() {
+    return !TIMER_MODES[gameState.timerMode] && gameState.playMode === 'solo';
+}
+
+/* ----------------------------- Timed Modes ----------------------------- */
+let gameTimer = null;
+// Words solved so far in the current speed run
+let speedRunScore = 0;
+
+// Starts the clock for a new timed game, or hides it in classic mode
+function startGameTimer() {
+    stopGameTimer();
+    
+    const mode = TIMER_MODES[gameState.timerMode];
+    if (elements.timer) {
+        elements.timer.hidden = !mode;
+    }
+    if (!mode) return;
+    
+    gameTimer = createGameTimer({
+        durationMs: mode.durationMs,
+        onTick: renderTimer,
+        onExpire: handleTimeUp
+    });
+    gameTimer.start();
+    console.log('⏱️ Timer started:', gameState.timerMode);
+}
+
+function stopGameTimer() {
+    if (gameTimer) {
+        gameTimer.stop();
+        gameTimer = null;
+    }
+}
+
+function renderTimer(remainingMs) {
+    if (!elements.timer) return;
+    
+    elements.timer.textContent = formatTime(remainingMs);
+    elements.timer.classList.toggle('low', remainingMs <= 10 * 1000);
+}
+
+function handleTimeUp() {
+    if (gameState.gameOver) return;
+    
+    gameState.gameOver = true;
+    endGame(false, { timeUp: true });
+}
+
+// Invalid guesses cost time in the timed modes
+function showInvalidGuess(message) {
+    if (!gameTimer) {
+        showMessage(message, 'error');
+        return;
+    }
+    
+    showMessage(t('timePenalty', { message, seconds: INVALID_GUESS_PENALTY_MS / 1000 }), 'error');
+    // May run the clock out and end the game
+    gameTimer.addPenalty(INVALID_GUESS_PENALTY_MS);
+}
+
+// Speed runs keep the same clock from one word to the next
+async function startNextSpeedRunWord() {
+    archiveGame(createHistoryEntry(gameState, { won: true, hardMode: gameConfig.hardMode && gameState.boardCount === 1 }));
+    speedRunScore += gameState.boardCount;
+    showMessage(t('speedRunProgress', { count: speedRunScore }), 'success');
+    
+    // Loading the next word doesn't cost time
+    const timer = gameTimer;
+    timer.pause();
+    try {
+        gameState = createGameState();
+        renderGameBoard();
+        await fetchSecretWords();
+        startWordGames();
+        updateKeyboard(elements.keyboard, getAllGuesses());
+        enableCurrentRow();
+    } finally {
+        if (timer === gameTimer) timer.resume();
+    }
+}
+
+// Timed games count towards the timed records instead of the regular stats
+function endTimedGame(won, { timeUp, elapsedMs, words }) {
+    let message;
+    let result;
+    
+    if (gameState.timerMode === 'countdown') {
+        result = recordTimedResult('countdown', { won, timeMs: elapsedMs });
+        message = won
+            ? t('countdownWon', { time: formatTime(elapsedMs), words })
+            : t('answerWas', { reason: t(timeUp ? 'timeUp' : 'gameOver'), words });
+    } else {
+        result = recordTimedResult('speed-run', { score: speedRunScore });
+        message = t('speedRunOver', { reason: t(timeUp ? 'timeUp' : 'runOver'), count: speedRunScore, words });
+        speedRunScore = 0;
+    }
+    
+    if (result.isNewBest) {
+        message += ` ${t('newRecord')}`;
+    }
+    showMessage(message, won ? 'success' : 'error');
+    
+    const finishedGame = gameState;
+    setTimeout(() => {
+        // Skip if a new game was started in the meantime
+        if (gameState !== finishedGame) return;
+        showStatsDialog(loadStats(finishedGame.boardCount), finishedGame.maxGuesses);
+    }, 700);
+    
+    console.log('🏁 Timed game ended. Mode:', finishedGame.timerMode, '| Won:', won, '| Time up:', timeUp);
+}
+
+/* ----------------------------- Two Players ----------------------------- */
+let versusMatch = createVersusMatch();
+
+// Setter and guesser of the current game: player 1 sets every pass-and-play word,
+// versus rounds take turns
+function getPlayerRoles() {
+    return gameState.playMode === 'versus' ? getRoundRoles(versusMatch.round) : { setter: 0, guesser: 1 };
+}
+
+// Same checks as a guess: isValidInput's rules, then validateWord
+async function checkSecretWord(word) {
+    const inputError = getInputError(word);
+    if (inputError) return inputError;
+    
+    return (await validateWord(word)) ? null : t('notAWord');
+}
+
+// The setter types the word instead of fetchSecretWords().
+// Returns false if the setter cancelled, then no game was started.
+async function startTwoPlayerGame() {
+    const { setter, guesser } = getPlayerRoles();
+    
+    const word = await askForSecretWord({
+        setterName: getPlayerName(setter),
+        guesserName: getPlayerName(guesser),
+        language: gameState.language,
+        check: checkSecretWord
+    });
+    if (!word) return false;
+    
+    gameState.boards = [createBoard(word)];
+    startWordGames();
+    return true;
+}
+
+function renderVersusScore() {
+    if (!elements.versusScore) return;
+    
+    elements.versusScore.hidden = gameState.playMode !== 'versus';
+    elements.versusScore.textContent = t('versusRound', { round: versusMatch.round, score: formatVersusScore(versusMatch.scores) });
+}
+
+// Two-player games don't count towards the stats; versus rounds score points instead
+function endTwoPlayerGame(won, words) {
+    const { guesser } = getPlayerRoles();
+    const guessCount = gameState.currentRow;
+    const guesserName = getPlayerName(guesser);
+    
+    let message = won
+        ? t('playerFound', { player: guesserName, words, count: guessCount })
+        : t('playerMissed', { player: guesserName, words });
+    
+    if (gameState.playMode === 'versus') {
+        const points = scoreVersusRound(won, guessCount, gameState.maxGuesses);
+        versusMatch.scores[guesser] += points;
+        versusMatch.round++;
+        message += ` ${t('versusPoints', { points, score: formatVersusScore(versusMatch.scores) })}`;
+    }
+    renderVersusScore();
+    
+    showMessage(message, won ? 'success' : 'error');
+    console.log('🏁 Two-player game ended. Won:', won, '| Match:', versusMatch);
+}
+
+/* ----------------------------- History Replay ----------------------------- */
+const REPLAY_STEP_MS = 900;
+
+// step: how many rows of the archived game are shown
+let replayState = { entry: null, step: 0, timerId: null };
+
+function getReplayRowCount(entry) {
+    return Math.max(...entry.boards.map(board => board.guesses.length));
+}
+
+function handleShowHistory() {
+    stopReplayPlayback();
+    elements.replay.hidden = true;
+    showHistoryDialog(startReplay);
+}
+
+// Rebuild the archived game's empty board, then step through it one guess at a time
+function startReplay(entry) {
+    stopReplayPlayback();
+    replayState = { entry, step: 0, timerId: null };
+    
+    createBoardElements(elements.replayBoard, {
+        wordLength: entry.wordLength,
+        maxGuesses: entry.maxGuesses,
+        boardCount: entry.boards.length
+    });
+    elements.replay.hidden = false;
+    updateReplayControls();
+    console.log('🎬 Replaying game', entry.id);
+}
+
+// Reveal the next row on every board that had a guess there, with the same flip as a real guess
+function showNextReplayStep() {
+    const { entry, step } = replayState;
+    if (!entry || step >= getReplayRowCount(entry)) return;
+    
+    entry.boards.forEach((board, boardIndex) => {
+        const guess = board.guesses[step];
+        const row = getRowElement(step, boardIndex, elements.replayBoard);
+        if (guess && row) revealGuess(row, guess.word, guess.result);
+    });
+    
+    replayState.step++;
+    updateReplayControls();
+}
+
+// Going back rebuilds the board up to the previous row, without animations
+function showPreviousReplayStep() {
+    const { entry, step } = replayState;
+    if (!entry || step === 0) return;
+    
+    stopReplayPlayback();
+    startReplay(entry);
+    
+    for (let rowIndex = 0; rowIndex < step - 1; rowIndex++) {
+        entry.boards.forEach((board, boardIndex) => {
+            const guess = board.guesses[rowIndex];
+            const row = getRowElement(rowIndex, boardIndex, elements.replayBoard);
+            if (guess && row) revealGuess(row, guess.word, guess.result, false);
+        });
+    }
+    
+    replayState.step = step - 1;
+    updateReplayControls();
+}
+
+function toggleReplayPlayback() {
+    const { entry } = replayState;
+    if (!entry) return;
+    
+    if (replayState.timerId) {
+        stopReplayPlayback();
+        return;
+    }
+    
+    // Start over once the whole game has been shown
+    if (replayState.step >= getReplayRowCount(entry)) {
+        startReplay(entry);
+    }
+    
+    showNextReplayStep();
+    replayState.timerId = setInterval(() => {
+        showNextReplayStep();
+        if (replayState.step >= getReplayRowCount(replayState.entry)) {
+            stopReplayPlayback();
+        }
+    }, REPLAY_STEP_MS);
+    updateReplayControls();
+}
+
+function stopReplayPlayback() {
+    if (replayState.timerId) {
+        clearInterval(replayState.timerId);
+        replayState.timerId = null;
+    }
+    updateReplayControls();
+}
+
+function updateReplayControls() {
+    const { entry, step, timerId } = replayState;
+    if (!entry) return;
+    
+    const rowCount = getReplayRowCount(entry);
+    const words = entry.boards.map(board => board.secretWord).join(', ');
+    
+    elements.replayTitle.textContent = t('replayTitle', { words, step, total: rowCount });
+    elements.replayBackButton.disabled = step === 0;
+    elements.replayNextButton.disabled = step >= rowCount;
+    elements.replayPlayButton.textContent = timerId ? t('pause') : t('play');
+}
+
 /* ----------------------------- Row Management ----------------------------- */
+// Letters are typed into the active board; other unsolved boards show a copy of the row
+function mirrorCurrentRow() {
+    if (gameState.boardCount === 1) return;
+    
+    const activeBoardIndex = getActiveBoardIndex();
+    const sourceRow = getRowElement(gameState.currentRow, activeBoardIndex);
+    if (!sourceRow) return;
+    
+    const letters = Array.from(sourceRow.querySelectorAll('.letter-box')).map(input => input.value);
+    
+    gameState.boards.forEach((board, boardIndex) => {
+        if (board.solved || boardIndex === activeBoardIndex) return;
+        
+        const row = getRowElement(gameState.currentRow, boardIndex);
+        if (!row) return;
+        row.querySelectorAll('.letter-box').forEach((input, index) => {
+            input.value = letters[index];
+        });
+    });
+}
+
 function enableCurrentRow() {
-    // Disable all inputs first
+    // Disable all inputs first (previous rows keep their letters)
     document.querySelectorAll('.letter-box').forEach(input => {
         input.disabled = true;
-        input.value = '';
     });
     
-    // Enable current row
-    const currentRow = document.querySelector(`[data-row="${gameState.currentRow}"]`);
+    // Clear the mirrored copies on the other boards
+    gameState.boards.forEach((board, boardIndex) => {
+        if (board.solved) return;
+        const row = getRowElement(gameState.currentRow, boardIndex);
+        if (row) row.querySelectorAll('.letter-box').forEach(input => { input.value = ''; });
+    });
+    
+    // Enable current row of the active board
+    const currentRow = getRowElement(gameState.currentRow);
     if (currentRow) {
         const inputs = currentRow.querySelectorAll('.letter-box');
         inputs.forEach((input, index) => {
             input.disabled = false;
+            input.value = '';
             
             // Focus first input
             if (index === 0) {
@@ -321,10 +1257,11 @@ function enableCurrentRow() {
             
             // Auto-advance to next input
             input.addEventListener('input', (e) => {
-                // Only allow letters
-                e.target.value = e.target.value.replace(/[^a-zA-Z]/g, '').toUpperCase();
+                // Only allow letters of the game's alphabet
+                e.target.value = filterLetters(e.target.value, gameState.language);
+                mirrorCurrentRow();
                 
-                if (e.target.value && index < 4) {
+                if (e.target.value && index < inputs.length - 1) {
                     inputs[index + 1].focus();
                 }
             });
@@ -337,7 +1274,7 @@ function enableCurrentRow() {
             });
         });
         
-        console.log('✅ Row', gameState.currentRow, 'enabled');
+        console.log('✅ Row', gameState.currentRow, 'enabled on board', getActiveBoardIndex());
     }
 }
 
@@ -353,6 +1290,97 @@ function setupEventListeners() {
         elements.resetButton.addEventListener('click', resetGame);
     }
     
+    // Hint button
+    if (elements.hintButton) {
+        elements.hintButton.addEventListener('click', handleHint);
+    }
+    
+    // Stats button and end-of-game dialog
+    if (elements.statsButton) {
+        elements.statsButton.addEventListener('click', () => {
+            showStatsDialog(loadStats(gameState.boardCount), gameState.maxGuesses);
+        });
+    }
+    setupStatsDialog(resetGame);
+    
+    // Share result and challenge links
+    if (elements.shareButton) {
+        elements.shareButton.addEventListener('click', handleShare);
+    }
+    if (elements.challengeButton && elements.challengeInput) {
+        elements.challengeButton.addEventListener('click', handleCreateChallenge);
+        elements.challengeInput.addEventListener('keydown', (e) => {
+            // Keep Enter from also submitting a guess
+            if (e.key === 'Enter') {
+                e.stopPropagation();
+                handleCreateChallenge();
+            }
+        });
+    }
+    
+    // Hard mode toggle
+    if (elements.hardModeToggle) {
+        elements.hardModeToggle.checked = gameConfig.hardMode;
+        elements.hardModeToggle.addEventListener('change', handleHardModeToggle);
+    }
+    
+    // Colour-blind colours and reduced motion
+    if (elements.highContrastToggle && elements.reducedMotionToggle) {
+        elements.highContrastToggle.checked = gameConfig.highContrast;
+        elements.reducedMotionToggle.checked = gameConfig.reducedMotion;
+        elements.highContrastToggle.addEventListener('change', handleDisplaySettingChange);
+        elements.reducedMotionToggle.addEventListener('change', handleDisplaySettingChange);
+    }
+    applyDisplaySettings();
+    
+    // Word length and guess count
+    if (elements.wordLengthSelect && elements.maxGuessesInput) {
+        updateWordLengthOptions();
+        elements.maxGuessesInput.min = MAX_GUESSES_RANGE.min;
+        elements.maxGuessesInput.max = MAX_GUESSES_RANGE.max;
+        elements.maxGuessesInput.value = gameConfig.maxGuesses;
+        elements.wordLengthSelect.addEventListener('change', handleBoardSizeChange);
+        elements.maxGuessesInput.addEventListener('change', handleBoardSizeChange);
+    }
+    if (elements.boardCountSelect) {
+        elements.boardCountSelect.value = gameConfig.boardCount;
+        elements.boardCountSelect.addEventListener('change', handleBoardSizeChange);
+    }
+    if (elements.timerModeSelect) {
+        elements.timerModeSelect.value = gameConfig.timerMode;
+        elements.timerModeSelect.addEventListener('change', handleTimerModeChange);
+    }
+    if (elements.playModeSelect) {
+        elements.playModeSelect.value = gameConfig.playMode;
+        elements.playModeSelect.addEventListener('change', handlePlayModeChange);
+    }
+    setupWordSetupDialog();
+    
+    // Language of the words and of the page
+    if (elements.languageSelect) {
+        Object.entries(LANGUAGES).forEach(([code, { name }]) => {
+            elements.languageSelect.add(new Option(name, code));
+        });
+        elements.languageSelect.value = gameConfig.language;
+        elements.languageSelect.addEventListener('change', handleLanguageChange);
+    }
+    setPageLanguage(gameConfig.language);
+    
+    // Game history and replays
+    if (elements.historyButton) {
+        elements.historyButton.addEventListener('click', handleShowHistory);
+    }
+    setupHistoryDialog(startReplay);
+    if (elements.historyDialog && elements.replay) {
+        elements.replayBackButton.addEventListener('click', showPreviousReplayStep);
+        elements.replayPlayButton.addEventListener('click', toggleReplayPlayback);
+        elements.replayNextButton.addEventListener('click', () => {
+            stopReplayPlayback();
+            showNextReplayStep();
+        });
+        elements.historyDialog.addEventListener('close', stopReplayPlayback);
+    }
+    
     // Handle Enter key for submission
     document.addEventListener('keydown', (e) => {
         if (e.key === 'Enter' && !gameState.gameOver) {
@@ -367,21 +1395,13 @@ function setupEventListeners() {
 async function resetGame() {
     console.log('🔄 Resetting game...');
     
-    // Reset game state
-    gameState = {
-        secretWord: '',
-        guesses: [],
-        currentRow: 0,
-        maxGuesses: 6,
-        gameOver: false
-    };
+    clearSavedGame();
+    stopGameTimer();
+    speedRunScore = 0;
     
-    // Clear the board
-    document.querySelectorAll('.letter-box').forEach(letterBox => {
-        letterBox.value = '';
-        letterBox.className = 'letter-box';
-        letterBox.disabled = true;
-    });
+    // Reset game state (init() rebuilds the board from it)
+    gameState = createGameState();
+    wordGames = [];
     
     // Clear messages
     if (elements.messageArea) {
@@ -398,32 +1418,93 @@ async function init() {
     try {
         console.log('🚀 Initializing Wordie...');
         
-        // Fetch the secret word
-        await fetchSecretWord();
+        // A challenge link picks the secret word and its language; a saved game of the same word is resumed
+        const challengeLanguage = getChallengeLanguageFromUrl();
+        let challengeWord = getChallengeWordFromUrl(WORD_LENGTH_RANGE);
+        if (challengeWord && !isAlphabetWord(challengeWord, challengeLanguage)) {
+            challengeWord = null;
+        }
+        if (challengeWord) {
+            clearChallengeFromUrl();
+        }
+        
+        // Resume a saved game, or start a new one
+        let savedGame = loadSavedGame();
+        const isSameChallenge = savedGame && savedGame.boards.length === 1 &&
+            savedGame.boards[0].secretWord === challengeWord && savedGame.language === challengeLanguage;
+        if (challengeWord ? !isSameChallenge : gameConfig.playMode !== 'solo') {
+            savedGame = null;
+        }
+        
+        if (savedGame) {
+            // Only classic solo games are saved, so a resumed game is never timed
+            gameState = { ...savedGame, timerMode: 'off', playMode: 'solo', won: false };
+            startWordGames(savedGame.boards.map(board => board.guesses.map(guess => guess.word)));
+            renderGameBoard();
+            restoreGameBoard();
+        } else if (challengeWord) {
+            // Challenges are always a single board, played solo
+            gameState = { ...createGameState(1), playMode: 'solo', language: challengeLanguage };
+            gameState.wordLength = challengeWord.length;
+            gameState.boards = [createBoard(challengeWord)];
+            startWordGames();
+            renderGameBoard();
+            console.log('🔗 Challenge game started');
+        } else if (gameConfig.playMode !== 'solo') {
+            // Two-player games are a single untimed board
+            gameState = { ...createGameState(1), timerMode: 'off' };
+            renderGameBoard();
+            renderVersusScore();
+            
+            // Cancelling the secret word goes back to playing solo
+            if (!(await startTwoPlayerGame())) {
+                setPlayMode('solo');
+                await resetGame();
+                return;
+            }
+        } else {
+            renderGameBoard();
+            await fetchSecretWords();
+            startWordGames();
+        }
         
-        // Setup event listeners
-        setupEventListeners();
+        // Colour the keyboard from the guesses so far (none for a new game)
+        updateKeyboard(elements.keyboard, getAllGuesses());
+        renderVersusScore();
         
-        // Enable first row
+        // Enable current row
         enableCurrentRow();
         
+        // The clock starts once the board is ready
+        startGameTimer();
+        
         // Show initial message
-        showMessage(`Welcome to Wordie! Guess ${gameState.currentRow + 1} of ${gameState.maxGuesses}`, 'info');
+        let welcome = savedGame ? t('welcomeBack') : challengeWord ? t('challengeAccepted') : t('welcome');
+        if (gameState.playMode !== 'solo') {
+            welcome = t('yourTurn', { player: getPlayerName(getPlayerRoles().guesser) });
+        }
+        showMessage(`${welcome} ${t('guessProgress', { row: gameState.currentRow + 1, total: gameState.maxGuesses })}`, 'info');
         
         console.log('✅ Wordie initialized successfully');
         
     } catch (error) {
         console.error('❌ Failed to initialize game:', error);
-        showMessage('Failed to initialize game. Please refresh the page.', 'error');
+        showMessage(t('initFailed'), 'error');
     }
 }
 
 /* -------------------------- Start the Game ------------------------- */
 // Initialize when DOM is loaded
+// Event listeners are attached once here, not in init(), because resetGame() calls init() again
+function start() {
+    setupEventListeners();
+    init();
+}
+
 if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', init);
+    document.addEventListener('DOMContentLoaded', start);
 } else {
-    init();
+    start();
 }
 
 console.log('🎮 Wordie script loaded');
\ No newline at end of file
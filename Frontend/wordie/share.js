@@ -0,0 +1,140 @@
+/* ----------------------------- Result Sharing ----------------------------- */
+const SHARE_EMOJI = {
+    correct: '🟩',
+    present: '🟨',
+    absent: '⬛'
+};
+
+// Spoiler-free summary of a finished game, e.g.
+//   Wordie #123 4/6*
+//
+//   ⬛🟨⬛⬛⬛
+//   ...
+// A trailing * marks hard mode, X/6 marks a lost game.
+// Multi-board games show the boards solved and the guesses used, e.g. "Wordie 4-Board 3/4 in 9/9",
+// followed by one grid per board.
+function buildShareText({ boards, maxGuesses, won, hardMode }) {
+    const { puzzleNumber } = boards[0];
+    const guessesUsed = Math.max(...boards.map(board => board.guesses.length));
+    let title;
+    let score;
+
+    if (boards.length > 1) {
+        title = `Wordie ${boards.length}-Board`;
+        score = `${boards.filter(board => board.solved).length}/${boards.length} in ${guessesUsed}/${maxGuesses}`;
+    } else {
+        title = puzzleNumber === null || puzzleNumber === undefined
+            ? 'Wordie Challenge'
+            : `Wordie #${puzzleNumber}`;
+        score = `${won ? guessesUsed : 'X'}/${maxGuesses}${hardMode ? '*' : ''}`;
+    }
+
+    const grids = boards
+        .map(({ guesses }) => guesses
+            .map(({ result }) => result.map(state => SHARE_EMOJI[state]).join(''))
+            .join('\n'))
+        .join('\n\n');
+
+    return `${title} ${score}\n\n${grids}`;
+}
+
+// Resolves to true if the text made it to the clipboard
+async function copyToClipboard(text) {
+    try {
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            await navigator.clipboard.writeText(text);
+            return true;
+        }
+
+        // Older browsers: copy from a temporary off-screen textarea
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        textarea.setAttribute('readonly', '');
+        textarea.style.position = 'fixed';
+        textarea.style.opacity = '0';
+        document.body.appendChild(textarea);
+        textarea.select();
+        const copied = document.execCommand('copy');
+        textarea.remove();
+        return copied;
+    } catch (error) {
+        console.error('❌ Failed to copy to clipboard:', error);
+        return false;
+    }
+}
+
+/* ----------------------------- Challenge Links ----------------------------- */
+// The secret word travels in the URL as ?challenge=<code>. The code is the word
+// shifted by ROT13 (A-Z only, other letters are kept) and base64url encoded as UTF-8:
+// not secure, just enough that the answer isn't readable at a glance in a chat message.
+// Words in other languages than English add their language, e.g. ?challenge=<code>&lang=de
+const CHALLENGE_PARAM = 'challenge';
+const CHALLENGE_LANGUAGE_PARAM = 'lang';
+
+function rot13(word) {
+    return word.replace(/[A-Z]/g, letter =>
+        String.fromCharCode(((letter.charCodeAt(0) - 65 + 13) % 26) + 65)
+    );
+}
+
+// btoa and atob only handle one byte per character, so letters like Ä go through UTF-8
+function encodeChallengeWord(word) {
+    const bytes = new TextEncoder().encode(rot13(word));
+    return btoa(String.fromCharCode(...bytes))
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+}
+
+// Returns the UPPERCASE word, or null if the code isn't a valid challenge.
+// Whether its letters fit the language is up to the caller (see isAlphabetWord).
+function decodeChallengeWord(code, { min, max }) {
+    try {
+        const base64 = code.replace(/-/g, '+').replace(/_/g, '/');
+        const bytes = Uint8Array.from(atob(base64), character => character.charCodeAt(0));
+        const word = rot13(new TextDecoder('utf-8', { fatal: true }).decode(bytes));
+
+        if (!/^\p{L}+$/u.test(word) || word.length < min || word.length > max) {
+            return null;
+        }
+        return word;
+    } catch (error) {
+        console.warn('⚠️ Invalid challenge code:', code);
+        return null;
+    }
+}
+
+// Keeps the other query parameters (e.g. ?provider=local) of the current page.
+// word must already be normalized for its language (see toGameWord).
+function createChallengeUrl(word, language = DEFAULT_LANGUAGE) {
+    const url = new URL(window.location.href);
+    url.hash = '';
+    url.searchParams.set(CHALLENGE_PARAM, encodeChallengeWord(word));
+    if (language === DEFAULT_LANGUAGE) {
+        url.searchParams.delete(CHALLENGE_LANGUAGE_PARAM);
+    } else {
+        url.searchParams.set(CHALLENGE_LANGUAGE_PARAM, language);
+    }
+    return url.toString();
+}
+
+// Reads the challenge word from the current URL (null if there isn't a valid one)
+function getChallengeWordFromUrl(wordLengthRange) {
+    const code = new URLSearchParams(window.location.search).get(CHALLENGE_PARAM);
+    return code ? decodeChallengeWord(code, wordLengthRange) : null;
+}
+
+// Links from before languages were added, or without a known language, are English
+function getChallengeLanguageFromUrl() {
+    const language = new URLSearchParams(window.location.search).get(CHALLENGE_LANGUAGE_PARAM);
+    return Object.keys(LANGUAGES).includes(language) ? language : DEFAULT_LANGUAGE;
+}
+
+// Drop the challenge from the address bar once the game has started,
+// so "New Game" and later reloads go back to random words
+function clearChallengeFromUrl() {
+    const url = new URL(window.location.href);
+    url.searchParams.delete(CHALLENGE_PARAM);
+    url.searchParams.delete(CHALLENGE_LANGUAGE_PARAM);
+    window.history.replaceState(null, '', url.toString());
+}
@@ -0,0 +1,155 @@
+// Scoring comes from the shared engine: a global in the browser, required in Node (tests, benchmarks)
+const { scoreGuess, normalizeWord } = typeof WordGameEngine !== 'undefined'
+    ? WordGameEngine
+    : require('../shared/word-game-engine.js');
+
+/* ----------------------------- Solver ----------------------------- */
+// Narrows a word list down to the words that still fit the feedback so far,
+// and ranks next guesses by expected information (entropy, in bits).
+//
+//   const solver = createSolver(LOCAL_DICTIONARY[5]);
+//   solver.getCandidates(gameState.guesses);   // words that are still possible
+//   solver.suggestGuess(gameState.guesses);    // { word, entropy, remaining }
+//   solver.solve('CRANE');                     // { solved, guesses }
+// locale is the language of the word lists, e.g. createSolver(LANGUAGES.de.dictionary[5], { locale: 'de' })
+function createSolver({ answers, allowed = [] }, { locale = 'en' } = {}) {
+    const answerWords = answers.map(word => normalizeWord(word, locale));
+    const allWords = [...answerWords, ...allowed.map(word => normalizeWord(word, locale))];
+
+    // The best opening guess never changes, so it is worked out once per word length and mode
+    const openingGuesses = {};
+
+    function fitsGuesses(word, guesses) {
+        return guesses.every(({ word: guessed, result }) =>
+            guessed.length === word.length &&
+            scoreGuess(guessed, word).join() === result.join()
+        );
+    }
+
+    // Answer words first; if the secret isn't one of them (e.g. it came from the API)
+    // fall back to every word the solver knows
+    function getCandidates(guesses) {
+        const candidates = answerWords.filter(word => fitsGuesses(word, guesses));
+        return candidates.length > 0
+            ? candidates
+            : allWords.filter(word => fitsGuesses(word, guesses));
+    }
+
+    // Expected information of a guess: how evenly it splits the candidates by feedback pattern
+    function getEntropy(guess, candidates) {
+        const patternCounts = {};
+        candidates.forEach(candidate => {
+            const pattern = scoreGuess(guess, candidate).join();
+            patternCounts[pattern] = (patternCounts[pattern] || 0) + 1;
+        });
+
+        return Object.values(patternCounts).reduce((entropy, count) => {
+            const probability = count / candidates.length;
+            return entropy - probability * Math.log2(probability);
+        }, 0);
+    }
+
+    // Best guesses first. With hardMode only candidates are considered,
+    // since any other word would break the hard mode rules.
+    function rankGuesses(guesses, { limit = 5, hardMode = false } = {}) {
+        const candidates = getCandidates(guesses);
+        if (candidates.length === 0) return [];
+
+        const candidateSet = new Set(candidates);
+        const pool = hardMode ? candidates : allWords.filter(word => word.length === candidates[0].length);
+
+        return pool
+            .map(word => ({
+                word,
+                entropy: getEntropy(word, candidates),
+                isCandidate: candidateSet.has(word)
+            }))
+            // On equal information prefer a word that could win right away
+            .sort((a, b) => b.entropy - a.entropy || b.isCandidate - a.isCandidate)
+            .slice(0, limit)
+            .map(({ word, entropy }) => ({ word, entropy, remaining: candidates.length }));
+    }
+
+    // Returns { word, entropy, remaining } or null when no word fits the feedback
+    function suggestGuess(guesses, { hardMode = false } = {}) {
+        const candidates = getCandidates(guesses);
+
+        if (candidates.length === 0) return null;
+        if (candidates.length <= 2) {
+            return { word: candidates[0], entropy: candidates.length === 2 ? 1 : 0, remaining: candidates.length };
+        }
+
+        if (guesses.length === 0) {
+            const key = `${candidates[0].length}:${hardMode}`;
+            if (!openingGuesses[key]) {
+                openingGuesses[key] = rankGuesses(guesses, { limit: 1, hardMode })[0];
+            }
+            return openingGuesses[key];
+        }
+
+        return rankGuesses(guesses, { limit: 1, hardMode })[0];
+    }
+
+    // Auto-play a full game against a known secret word
+    function solve(secretWord, { maxGuesses = 20, hardMode = false } = {}) {
+        const secret = normalizeWord(secretWord, locale);
+        const guesses = [];
+
+        while (guesses.length < maxGuesses) {
+            const suggestion = suggestGuess(guesses, { hardMode });
+            if (!suggestion) break;
+
+            const result = scoreGuess(suggestion.word, secret);
+            guesses.push({ word: suggestion.word, result });
+
+            if (suggestion.word === secret) {
+                return { solved: true, guesses };
+            }
+        }
+
+        return { solved: false, guesses };
+    }
+
+    return {
+        getCandidates,
+        rankGuesses,
+        suggestGuess,
+        solve
+    };
+}
+
+/* ----------------------------- Benchmark ----------------------------- */
+// How many guesses does the solver need? Run from the console, e.g.
+//   benchmarkSolver(createSolver(LOCAL_DICTIONARY[5]), LOCAL_DICTIONARY[5].answers)
+function benchmarkSolver(solver, secretWords, { maxGuesses = 6, hardMode = false } = {}) {
+    const distribution = {};
+    const failures = [];
+    let totalGuesses = 0;
+
+    secretWords.forEach(secretWord => {
+        const { solved, guesses } = solver.solve(secretWord, { maxGuesses, hardMode });
+
+        if (solved) {
+            distribution[guesses.length] = (distribution[guesses.length] || 0) + 1;
+            totalGuesses += guesses.length;
+        } else {
+            failures.push(secretWord.toUpperCase());
+        }
+    });
+
+    const solvedCount = secretWords.length - failures.length;
+    const summary = {
+        games: secretWords.length,
+        solved: solvedCount,
+        averageGuesses: solvedCount > 0 ? Number((totalGuesses / solvedCount).toFixed(3)) : null,
+        distribution,
+        failures
+    };
+
+    console.log('🤖 Solver benchmark:', summary);
+    return summary;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { createSolver, benchmarkSolver };
+}
@@ -0,0 +1,214 @@
+/* ----------------------------- Player Stats ----------------------------- */
+// Stats are kept in localStorage and updated once per finished game.
+// guessDistribution maps "number of guesses" -> "games won with that many", e.g. { 3: 2, 4: 5 }
+// Multi-board games keep their own stats, a 4-board win in 8 isn't comparable to a single word in 8.
+const STATS_KEY = 'wordie:stats';
+
+function getStatsKey(boardCount = 1) {
+    return boardCount > 1 ? `${STATS_KEY}:${boardCount}-boards` : STATS_KEY;
+}
+
+function createEmptyStats() {
+    return {
+        gamesPlayed: 0,
+        gamesWon: 0,
+        currentStreak: 0,
+        maxStreak: 0,
+        guessDistribution: {}
+    };
+}
+
+function isValidStats(stats) {
+    return Boolean(stats) &&
+        ['gamesPlayed', 'gamesWon', 'currentStreak', 'maxStreak']
+            .every(key => Number.isInteger(stats[key]) && stats[key] >= 0) &&
+        stats.gamesWon <= stats.gamesPlayed &&
+        typeof stats.guessDistribution === 'object' &&
+        stats.guessDistribution !== null;
+}
+
+function loadStats(boardCount = 1) {
+    const stats = loadFromStorage(getStatsKey(boardCount));
+
+    if (!isValidStats(stats)) {
+        if (stats !== null) {
+            console.warn('⚠️ Discarding invalid stats:', stats);
+        }
+        return createEmptyStats();
+    }
+    return stats;
+}
+
+// Record a finished game and return the updated stats
+function recordGameResult(won, guessCount, boardCount = 1) {
+    const stats = loadStats(boardCount);
+
+    stats.gamesPlayed++;
+
+    if (won) {
+        stats.gamesWon++;
+        stats.currentStreak++;
+        stats.maxStreak = Math.max(stats.maxStreak, stats.currentStreak);
+        stats.guessDistribution[guessCount] = (stats.guessDistribution[guessCount] || 0) + 1;
+    } else {
+        stats.currentStreak = 0;
+    }
+
+    saveToStorage(getStatsKey(boardCount), stats);
+    console.log('📈 Stats updated:', stats);
+    return stats;
+}
+
+function getWinPercentage(stats) {
+    if (stats.gamesPlayed === 0) return 0;
+    return Math.round((stats.gamesWon / stats.gamesPlayed) * 100);
+}
+
+/* ----------------------------- Timed Records ----------------------------- */
+// Timed games don't count towards the stats above, each timed mode keeps its own best:
+//   countdown: fastest win (penalties included), speed-run: most words solved before time ran out
+const TIMED_RECORDS_KEY = 'wordie:timed-records';
+
+function createEmptyTimedRecords() {
+    return {
+        countdown: { played: 0, won: 0, bestTimeMs: null },
+        'speed-run': { played: 0, bestScore: 0 }
+    };
+}
+
+function loadTimedRecords() {
+    const saved = loadFromStorage(TIMED_RECORDS_KEY, {}) || {};
+    const records = createEmptyTimedRecords();
+
+    // Keep only well-formed values so a corrupt entry can't break the dialog
+    Object.keys(records).forEach(mode => {
+        Object.keys(records[mode]).forEach(key => {
+            const value = saved[mode] && saved[mode][key];
+            if (Number.isInteger(value) && value >= 0) {
+                records[mode][key] = value;
+            }
+        });
+    });
+    return records;
+}
+
+// Record a finished timed game. Returns { records, isNewBest }.
+// countdown takes { won, timeMs }, speed-run takes { score }.
+function recordTimedResult(mode, { won = false, timeMs = null, score = 0 }) {
+    const records = loadTimedRecords();
+    const record = records[mode];
+    let isNewBest = false;
+
+    record.played++;
+
+    if (mode === 'countdown' && won) {
+        record.won++;
+        isNewBest = record.bestTimeMs === null || timeMs < record.bestTimeMs;
+        if (isNewBest) record.bestTimeMs = timeMs;
+    } else if (mode === 'speed-run') {
+        isNewBest = score > record.bestScore;
+        if (isNewBest) record.bestScore = score;
+    }
+
+    saveToStorage(TIMED_RECORDS_KEY, records);
+    console.log('⏱️ Timed records updated:', records);
+    return { records, isNewBest };
+}
+
+function formatTimedRecords(records) {
+    const { countdown, 'speed-run': speedRun } = records;
+    const parts = [];
+
+    if (countdown.bestTimeMs !== null) {
+        parts.push(t('countdownBest', { time: formatTime(countdown.bestTimeMs) }));
+    }
+    if (speedRun.played > 0) {
+        parts.push(t('speedRunBest', { count: speedRun.bestScore }));
+    }
+    return parts.length > 0 ? parts.join(' · ') : t('noTimedGames');
+}
+
+/* ----------------------------- Stats Dialog ----------------------------- */
+const statsElements = {
+    dialog: document.querySelector('.stats-dialog'),
+    played: document.querySelector('[data-stat="played"]'),
+    winPercentage: document.querySelector('[data-stat="win-percentage"]'),
+    currentStreak: document.querySelector('[data-stat="current-streak"]'),
+    maxStreak: document.querySelector('[data-stat="max-streak"]'),
+    distribution: document.querySelector('.guess-distribution'),
+    timedRecords: document.querySelector('.timed-records'),
+    playAgainButton: document.querySelector('.play-again-btn'),
+    closeButton: document.querySelector('.stats-close-btn')
+};
+
+function renderStats(stats, maxGuesses, highlightGuessCount = null) {
+    statsElements.played.textContent = stats.gamesPlayed;
+    statsElements.winPercentage.textContent = getWinPercentage(stats);
+    statsElements.currentStreak.textContent = stats.currentStreak;
+    statsElements.maxStreak.textContent = stats.maxStreak;
+
+    // One bar per possible guess count, scaled against the most common one
+    const counts = Array.from({ length: maxGuesses }, (_, index) => stats.guessDistribution[index + 1] || 0);
+    const largest = Math.max(1, ...counts);
+
+    statsElements.distribution.innerHTML = '';
+    counts.forEach((count, index) => {
+        const row = document.createElement('li');
+        row.className = 'distribution-row';
+
+        const label = document.createElement('span');
+        label.className = 'distribution-label';
+        label.textContent = index + 1;
+
+        const bar = document.createElement('span');
+        bar.className = 'distribution-bar';
+        bar.style.width = `${Math.max(8, (count / largest) * 100)}%`;
+        bar.textContent = count;
+        if (highlightGuessCount === index + 1) {
+            bar.classList.add('highlight');
+        }
+
+        row.append(label, bar);
+        statsElements.distribution.appendChild(row);
+    });
+
+    if (statsElements.timedRecords) {
+        statsElements.timedRecords.textContent = formatTimedRecords(loadTimedRecords());
+    }
+}
+
+function showStatsDialog(stats, maxGuesses, highlightGuessCount = null) {
+    if (!statsElements.dialog) return;
+
+    renderStats(stats, maxGuesses, highlightGuessCount);
+
+    if (typeof statsElements.dialog.showModal === 'function') {
+        statsElements.dialog.showModal();
+    } else {
+        statsElements.dialog.setAttribute('open', '');
+    }
+}
+
+function closeStatsDialog() {
+    if (!statsElements.dialog) return;
+
+    if (typeof statsElements.dialog.close === 'function') {
+        statsElements.dialog.close();
+    } else {
+        statsElements.dialog.removeAttribute('open');
+    }
+}
+
+// onPlayAgain is called after the dialog closes (the game passes resetGame)
+function setupStatsDialog(onPlayAgain) {
+    if (statsElements.closeButton) {
+        statsElements.closeButton.addEventListener('click', closeStatsDialog);
+    }
+
+    if (statsElements.playAgainButton) {
+        statsElements.playAgainButton.addEventListener('click', () => {
+            closeStatsDialog();
+            onPlayAgain();
+        });
+    }
+}
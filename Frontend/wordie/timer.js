@@ -0,0 +1,97 @@
+/* ----------------------------- Game Timer ----------------------------- */
+// Counts down from durationMs. Time spent paused doesn't count, penalties take time off.
+//
+//   const timer = createGameTimer({ durationMs: 120000, onTick: renderTimer, onExpire: handleTimeUp });
+//   timer.start();
+//   timer.pause();              // e.g. while waiting on the network
+//   timer.resume();
+//   timer.addPenalty(10000);    // may call onExpire right away
+//   timer.stop();               // for good, start() and resume() do nothing after this
+//
+// onTick receives the remaining milliseconds, onExpire is called once when they run out.
+function createGameTimer({ durationMs, onTick = () => {}, onExpire = () => {}, tickMs = 250, now = () => Date.now() }) {
+    let remainingMs = durationMs;
+    let startedAt = null; // null while paused or stopped
+    let intervalId = null;
+    let expired = false;
+    let stopped = false;
+
+    function getRemaining() {
+        const runningMs = startedAt === null ? 0 : now() - startedAt;
+        return Math.max(0, remainingMs - runningMs);
+    }
+
+    // Time used so far, penalties included
+    function getElapsed() {
+        return durationMs - getRemaining();
+    }
+
+    function isRunning() {
+        return startedAt !== null;
+    }
+
+    function tick() {
+        const remaining = getRemaining();
+        onTick(remaining);
+
+        if (remaining === 0 && !expired) {
+            expired = true;
+            pause();
+            onExpire();
+        }
+    }
+
+    function start() {
+        if (expired || stopped || isRunning()) return;
+
+        startedAt = now();
+        intervalId = setInterval(tick, tickMs);
+        tick();
+    }
+
+    function pause() {
+        if (!isRunning()) return;
+
+        remainingMs = getRemaining();
+        startedAt = null;
+        clearInterval(intervalId);
+        intervalId = null;
+    }
+
+    // A stopped timer belongs to a game that is over. Code still holding on to it
+    // (e.g. waiting on validateWord) can't bring it back to end the next game.
+    function stop() {
+        stopped = true;
+        pause();
+    }
+
+    function addPenalty(penaltyMs) {
+        if (expired || stopped) return;
+
+        remainingMs -= penaltyMs;
+        tick();
+    }
+
+    return {
+        start,
+        pause,
+        resume: start,
+        stop,
+        addPenalty,
+        getRemaining,
+        getElapsed,
+        isRunning
+    };
+}
+
+// 83000 -> "1:23". Rounds up, so the clock only shows 0:00 once time is really up.
+function formatTime(ms) {
+    const totalSeconds = Math.ceil(ms / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${String(seconds).padStart(2, '0')}`;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { createGameTimer, formatTime };
+}
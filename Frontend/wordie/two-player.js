@@ -0,0 +1,128 @@
+/* ----------------------------- Two Players ----------------------------- */
+// Pass-and-play: player 1 picks the secret word, player 2 guesses it.
+// Versus: the players swap roles every round and score points for each word they solve.
+
+function createVersusMatch() {
+    return {
+        round: 1,
+        scores: [0, 0]
+    };
+}
+
+// Player 1 sets the word in odd rounds, player 2 in even rounds.
+// Returns player indexes, e.g. { setter: 0, guesser: 1 }
+function getRoundRoles(round) {
+    const setter = (round - 1) % 2;
+    return { setter, guesser: 1 - setter };
+}
+
+// Fewer guesses score more: solving on the first guess is worth maxGuesses points, a miss nothing
+function scoreVersusRound(won, guessCount, maxGuesses) {
+    return won ? maxGuesses - guessCount + 1 : 0;
+}
+
+// index 0 -> 'Player 1' in the language of the page
+function getPlayerName(index) {
+    return t('playerName', { number: index + 1 });
+}
+
+function formatVersusScore(scores) {
+    return scores.map((score, index) => `${getPlayerName(index)} ${score}`).join(' – ');
+}
+
+/* ----------------------------- Word Setup Dialog ----------------------------- */
+const wordSetupElements = {
+    dialog: document.querySelector('.word-setup-dialog'),
+    form: document.querySelector('.word-setup-form'),
+    title: document.querySelector('.word-setup-title'),
+    hint: document.querySelector('.word-setup-hint'),
+    input: document.querySelector('.word-setup-input'),
+    error: document.querySelector('.word-setup-error'),
+    submitButton: document.querySelector('.word-setup-btn'),
+    cancelButton: document.querySelector('.word-setup-cancel-btn')
+};
+
+// Resolves with the UPPERCASE word (normalized for language) once it passes check(word).
+// check resolves to an error message, or null if the word can be used.
+// Resolves with null if the setter cancels instead (Cancel button or Escape).
+function askForSecretWord({ setterName, guesserName, language, check }) {
+    const { dialog, form, title, hint, input, error, submitButton, cancelButton } = wordSetupElements;
+
+    return new Promise(resolve => {
+        title.textContent = t('setupTitle', { player: setterName });
+        hint.textContent = t('setupHint', { player: guesserName });
+        input.value = '';
+        error.textContent = '';
+        let finished = false;
+
+        function finish(word) {
+            finished = true;
+            form.removeEventListener('submit', handleSetupSubmit);
+            dialog.removeEventListener('cancel', handleSetupCancel);
+            cancelButton.removeEventListener('click', handleSetupCancel);
+            closeWordSetupDialog();
+            resolve(word);
+        }
+
+        async function handleSetupSubmit(event) {
+            event.preventDefault();
+
+            const word = toGameWord(input.value.trim(), language);
+            submitButton.disabled = true;
+            const message = await check(word);
+            submitButton.disabled = false;
+
+            // Cancelled while the word was being checked
+            if (finished) return;
+
+            if (message) {
+                error.textContent = message;
+                input.select();
+                return;
+            }
+
+            console.log('🤝 Secret word set by', setterName);
+            finish(word);
+        }
+
+        // Escape fires 'cancel' on the dialog; it is closed through finish() like the button
+        function handleSetupCancel(event) {
+            event.preventDefault();
+            console.log('🤝 Secret word cancelled by', setterName);
+            finish(null);
+        }
+
+        form.addEventListener('submit', handleSetupSubmit);
+        dialog.addEventListener('cancel', handleSetupCancel);
+        cancelButton.addEventListener('click', handleSetupCancel);
+
+        if (typeof dialog.showModal === 'function') {
+            dialog.showModal();
+        } else {
+            dialog.setAttribute('open', '');
+        }
+        input.focus();
+    });
+}
+
+function closeWordSetupDialog() {
+    const { dialog } = wordSetupElements;
+
+    if (typeof dialog.close === 'function') {
+        dialog.close();
+    } else {
+        dialog.removeAttribute('open');
+    }
+}
+
+function setupWordSetupDialog() {
+    const { dialog, input } = wordSetupElements;
+    if (!dialog) return;
+
+    // Keep Enter from also submitting a guess
+    input.addEventListener('keydown', event => {
+        if (event.key === 'Enter') {
+            event.stopPropagation();
+        }
+    });
+}
@@ -0,0 +1,127 @@
+/* ----------------------------- Word Providers ----------------------------- */
+// The game never talks to a word source directly. It asks a provider, and
+// every provider has the same shape:
+//   wordLengths -> the word lengths it can serve
+//   getSecretWord(wordLength) -> Promise<{ word, puzzleNumber }>   (word is UPPERCASE)
+//   isValidWord(word) -> Promise<boolean>
+
+// HTTP provider backed by words.dev-apis.com (5-letter words only)
+function createApiWordProvider({ baseUrl = 'https://words.dev-apis.com' } = {}) {
+    return {
+        name: 'api',
+        wordLengths: [5],
+
+        async getSecretWord(wordLength = 5) {
+            if (!this.wordLengths.includes(wordLength)) {
+                throw new Error(`The word API has no ${wordLength}-letter words`);
+            }
+
+            // Using random=1 for different words each game
+            const response = await fetch(`${baseUrl}/word-of-the-day?random=1`);
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const data = await response.json();
+            return {
+                word: data.word.toUpperCase(),
+                puzzleNumber: data.puzzleNumber
+            };
+        },
+
+        async isValidWord(word) {
+            const response = await fetch(`${baseUrl}/validate-word`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ word: word.toLowerCase() })
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const data = await response.json();
+            return data.validWord;
+        }
+    };
+}
+
+// Offline provider backed by word lists keyed by length (the bundled dictionary by default).
+// Pass your own `dictionary` and `random` to get predictable games in tests, e.g.
+//   createLocalWordProvider({ dictionary: { 5: { answers: ['apple'], allowed: [] } }, random: () => 0 })
+// `locale` is the language of the word lists, see languages.js.
+// The dictionary and the engine are globals in the browser, required in Node (tests)
+function createLocalWordProvider({
+    dictionary = typeof LOCAL_DICTIONARY !== 'undefined' ? LOCAL_DICTIONARY : require('./words.js').LOCAL_DICTIONARY,
+    random = Math.random,
+    locale = 'en'
+} = {}) {
+    const { normalizeWord } = typeof WordGameEngine !== 'undefined'
+        ? WordGameEngine
+        : require('../shared/word-game-engine.js');
+
+    const wordLengths = Object.keys(dictionary)
+        .map(Number)
+        .filter(length => dictionary[length].answers.length > 0);
+
+    if (wordLengths.length === 0) {
+        throw new Error('Local word provider needs at least one answer word');
+    }
+
+    const validWords = new Set(
+        Object.values(dictionary)
+            .flatMap(({ answers, allowed = [] }) => [...answers, ...allowed])
+            .map(word => normalizeWord(word, locale))
+    );
+
+    return {
+        name: 'local',
+        wordLengths,
+
+        async getSecretWord(wordLength = 5) {
+            if (!wordLengths.includes(wordLength)) {
+                throw new Error(`The local dictionary has no ${wordLength}-letter words`);
+            }
+
+            const { answers } = dictionary[wordLength];
+            const puzzleNumber = Math.floor(random() * answers.length);
+            return {
+                word: normalizeWord(answers[puzzleNumber], locale),
+                puzzleNumber
+            };
+        },
+
+        async isValidWord(word) {
+            return validWords.has(normalizeWord(word, locale));
+        }
+    };
+}
+
+const WORD_PROVIDERS = {
+    api: createApiWordProvider,
+    local: createLocalWordProvider
+};
+
+// Build a provider by name, e.g. createWordProvider('local')
+function createWordProvider(name, options) {
+    const factory = WORD_PROVIDERS[name];
+
+    if (!factory) {
+        throw new Error(`Unknown word provider: "${name}"`);
+    }
+
+    console.log('✅ Using word provider:', name);
+    return factory(options);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createApiWordProvider,
+        createLocalWordProvider,
+        createWordProvider,
+        WORD_PROVIDERS
+    };
+}
@@ -0,0 +1,53 @@
+// Run with: node --test Frontend/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createLocalWordProvider, createWordProvider } = require('./word-providers.js');
+
+const dictionary = {
+    5: { answers: ['apple', 'crane'], allowed: ['zebra'] },
+    6: { answers: [], allowed: ['planet'] }
+};
+
+/* ----------------------------- Answers ----------------------------- */
+test('the local provider picks the answer with random() and uppercases it', async () => {
+    const provider = createLocalWordProvider({ dictionary, random: () => 0.5 });
+
+    assert.deepEqual(await provider.getSecretWord(5), { word: 'CRANE', puzzleNumber: 1 });
+});
+
+test('the local provider only serves lengths that have answers', async () => {
+    const provider = createLocalWordProvider({ dictionary });
+
+    assert.deepEqual(provider.wordLengths, [5]);
+    await assert.rejects(provider.getSecretWord(6), /no 6-letter words/);
+});
+
+test('the local provider needs at least one answer', () => {
+    assert.throws(() => createLocalWordProvider({ dictionary: { 5: { answers: [] } } }), /at least one answer/);
+});
+
+/* ----------------------------- Validation ----------------------------- */
+test('the local provider accepts answers and allowed words in any case', async () => {
+    const provider = createLocalWordProvider({ dictionary });
+
+    assert.equal(await provider.isValidWord('APPLE'), true);
+    assert.equal(await provider.isValidWord('zebra'), true);
+    assert.equal(await provider.isValidWord('planet'), true);
+    assert.equal(await provider.isValidWord('ZZZZZ'), false);
+});
+
+test('the local provider compares words with the casing rules of its locale', async () => {
+    const provider = createLocalWordProvider({ dictionary: { 5: { answers: ['größe'] } }, random: () => 0, locale: 'de' });
+
+    assert.equal((await provider.getSecretWord(5)).word, 'GRÖßE');
+    assert.equal(await provider.isValidWord('GRÖßE'), true);
+    assert.equal(await provider.isValidWord('GROSSE'), false);
+});
+
+test('the local provider uses the bundled dictionary by default', async () => {
+    const provider = createWordProvider('local', { random: () => 0 });
+    const { word } = await provider.getSecretWord(5);
+
+    assert.equal(word.length, 5);
+    assert.equal(await provider.isValidWord(word), true);
+});
@@ -0,0 +1,316 @@
+/* ----------------------------- Bundled Dictionary ----------------------------- */
+// Offline word lists used by the local word provider, keyed by word length.
+// `answers` are the words that can be picked as the secret word,
+// `allowed` are extra words that are accepted as guesses but never picked.
+const LOCAL_DICTIONARY = {
+    4: {
+        answers: [
+            'able', 'acid', 'aged', 'also', 'area', 'army', 'away', 'baby', 'back',
+            'ball', 'band', 'bank', 'base', 'bath', 'bear', 'beat', 'bell', 'belt',
+            'best', 'bird', 'blue', 'boat', 'body', 'bone', 'book', 'born', 'boss',
+            'both', 'bowl', 'burn', 'busy', 'cake', 'call', 'calm', 'camp', 'card',
+            'care', 'cash', 'cell', 'chip', 'city', 'club', 'coal', 'coat', 'code',
+            'cold', 'cook', 'cool', 'copy', 'core', 'corn', 'cost', 'crew', 'crop',
+            'dark', 'data', 'date', 'dawn', 'deal', 'dear', 'deep', 'desk', 'diet',
+            'disk', 'door', 'down', 'draw', 'drop', 'drum', 'duck', 'dust', 'duty',
+            'each', 'earn', 'east', 'easy', 'edge', 'else', 'even', 'exit', 'face',
+            'fact', 'fair', 'fall', 'farm', 'fast', 'fear', 'feel', 'film', 'fine',
+            'fire', 'fish', 'flag', 'flat', 'flow', 'food', 'foot', 'form', 'free',
+            'frog', 'fuel', 'full', 'game', 'gate', 'gift', 'girl', 'glad', 'goal',
+            'gold', 'golf', 'good', 'gray', 'grow', 'hair', 'half', 'hall', 'hand',
+            'hard', 'head', 'hear', 'heat', 'help', 'hero', 'hill', 'hole', 'home',
+            'hope', 'horn', 'host', 'hour', 'huge', 'idea', 'iron', 'item', 'jazz',
+            'join', 'joke', 'jump', 'keen', 'keep', 'kind', 'king', 'kiss', 'knee',
+            'knot', 'lake', 'lamp', 'land', 'lane', 'last', 'lead', 'leaf', 'left',
+            'lens', 'life', 'lift', 'like', 'line', 'lion', 'list', 'live', 'load',
+            'loan', 'lock', 'long', 'look', 'lord', 'love', 'luck', 'mail', 'main',
+            'make', 'mark', 'mask', 'meal', 'meat', 'menu', 'mild', 'milk', 'mind',
+            'mint', 'miss', 'mode', 'moon', 'more', 'moss', 'move', 'name', 'navy',
+            'near', 'neck', 'nest', 'news', 'nice', 'nose', 'note', 'oven', 'page',
+            'pain', 'pair', 'palm', 'park', 'part', 'past', 'path', 'peak', 'pink',
+            'plan', 'play', 'plot', 'plus', 'poem', 'pool', 'port', 'post', 'pull',
+            'pure', 'push', 'quiz', 'race', 'rain', 'rank', 'rate', 'read', 'real',
+            'rest', 'rice', 'rich', 'ride', 'ring', 'rock', 'role', 'roof', 'room',
+            'root', 'rope', 'rose', 'rule', 'safe', 'sail', 'salt', 'sand', 'save',
+            'seat', 'seed', 'self', 'ship', 'shoe', 'shop', 'show', 'sign', 'silk',
+            'sing', 'site', 'size', 'skin', 'slow', 'snow', 'soap', 'sock', 'soft',
+            'soil', 'song', 'soup', 'star', 'stay', 'step', 'stop', 'suit', 'swim',
+            'tail', 'talk', 'tall', 'task', 'team', 'tent', 'term', 'test', 'text',
+            'tide', 'time', 'tiny', 'tone', 'tool', 'tour', 'town', 'tree', 'trip',
+            'true', 'tune', 'turn', 'type', 'unit', 'vast', 'view', 'vote', 'wage',
+            'wait', 'walk', 'wall', 'warm', 'wave', 'weak', 'wear', 'week', 'well',
+            'west', 'wide', 'wild', 'wind', 'wine', 'wing', 'wise', 'wish', 'wolf',
+            'wood', 'wool', 'word', 'work', 'yard', 'year', 'zero', 'zone'
+        ],
+        allowed: [
+            'acre', 'alto', 'apex', 'aqua', 'aunt', 'axle', 'bait', 'bark', 'bead',
+            'bean', 'beef', 'bulb', 'cave', 'chef', 'clam', 'clay'
+        ]
+    },
+    5: {
+        answers: [
+            'about', 'above', 'actor', 'acute', 'adapt', 'admit', 'adult', 'after',
+            'again', 'agent', 'agree', 'ahead', 'alarm', 'album', 'alert', 'alike',
+            'alive', 'allow', 'alone', 'along', 'alter', 'among', 'angel', 'anger',
+            'angle', 'angry', 'apart', 'apple', 'apply', 'arena', 'argue', 'arise',
+            'array', 'aside', 'asset', 'audio', 'avoid', 'award', 'aware', 'badge',
+            'basic', 'beach', 'began', 'begin', 'being', 'below', 'bench', 'birth',
+            'black', 'blade', 'blame', 'blank', 'blind', 'block', 'blood', 'board',
+            'boost', 'brain', 'brave', 'bread', 'break', 'brick', 'brief', 'bring',
+            'broad', 'brown', 'brush', 'build', 'buyer', 'cabin', 'cable', 'candy',
+            'cargo', 'carry', 'catch', 'cause', 'chain', 'chair', 'chalk', 'charm',
+            'chart', 'chase', 'cheap', 'check', 'chess', 'chest', 'chief', 'child',
+            'civil', 'claim', 'class', 'clean', 'clear', 'climb', 'clock', 'close',
+            'cloud', 'coach', 'coast', 'coral', 'count', 'court', 'cover', 'crack',
+            'craft', 'crane', 'crash', 'cream', 'crime', 'cross', 'crowd', 'crown',
+            'curve', 'cycle', 'daily', 'dance', 'dealt', 'death', 'delay', 'depth',
+            'diary', 'dirty', 'doubt', 'dozen', 'draft', 'drama', 'dream', 'dress',
+            'drink', 'drive', 'eager', 'early', 'earth', 'eight', 'elite', 'empty',
+            'enemy', 'enjoy', 'enter', 'entry', 'equal', 'error', 'event', 'exact',
+            'exist', 'extra', 'faith', 'false', 'fault', 'field', 'fight', 'final',
+            'flame', 'fleet', 'floor', 'fluid', 'focus', 'force', 'forth', 'frame',
+            'fresh', 'front', 'fruit', 'funny', 'ghost', 'giant', 'given', 'glass',
+            'globe', 'glory', 'grace', 'grade', 'grain', 'grand', 'grant', 'grape',
+            'grass', 'great', 'green', 'greet', 'group', 'guard', 'guess', 'guest',
+            'guide', 'happy', 'heart', 'heavy', 'hello', 'honey', 'horse', 'hotel',
+            'house', 'human', 'humor', 'ideal', 'image', 'index', 'inner', 'input',
+            'issue', 'jelly', 'joint', 'judge', 'juice', 'knife', 'label', 'large',
+            'laser', 'later', 'laugh', 'layer', 'learn', 'lemon', 'level', 'light',
+            'limit', 'local', 'logic', 'loose', 'lucky', 'lunch', 'magic', 'major',
+            'maker', 'march', 'match', 'mayor', 'medal', 'media', 'metal', 'might',
+            'minor', 'model', 'money', 'month', 'moral', 'motor', 'mount', 'mouse',
+            'mouth', 'movie', 'music', 'nerve', 'never', 'night', 'noise', 'north',
+            'novel', 'nurse', 'ocean', 'offer', 'often', 'olive', 'onion', 'order',
+            'other', 'owner', 'paint', 'panel', 'paper', 'party', 'peace', 'pearl',
+            'phase', 'phone', 'photo', 'piano', 'piece', 'pilot', 'pitch', 'place',
+            'plain', 'plane', 'plant', 'plate', 'point', 'pound', 'power', 'press',
+            'price', 'pride', 'prime', 'print', 'prize', 'proof', 'proud', 'queen',
+            'quick', 'quiet', 'quite', 'radio', 'raise', 'range', 'rapid', 'ratio',
+            'reach', 'ready', 'river', 'robot', 'rough', 'round', 'route', 'royal',
+            'rural', 'salad', 'scale', 'scene', 'score', 'sense', 'serve', 'seven',
+            'shape', 'share', 'sharp', 'sheep', 'shelf', 'shell', 'shift', 'shine',
+            'shirt', 'shock', 'shoot', 'short', 'sight', 'skill', 'sleep', 'slice',
+            'smart', 'smile', 'smoke', 'snake', 'solid', 'solve', 'sound', 'south',
+            'space', 'spare', 'speak', 'speed', 'spend', 'spice', 'spoon', 'sport',
+            'staff', 'stage', 'stair', 'stand', 'start', 'state', 'steam', 'steel',
+            'stick', 'stone', 'store', 'storm', 'story', 'study', 'style', 'sugar',
+            'suite', 'sweet', 'table', 'taste', 'teach', 'thank', 'theme', 'thick',
+            'thing', 'think', 'three', 'throw', 'tiger', 'title', 'toast', 'today',
+            'topic', 'total', 'touch', 'tower', 'track', 'trade', 'train', 'treat',
+            'trend', 'trial', 'trust', 'truth', 'uncle', 'under', 'union', 'unity',
+            'upper', 'urban', 'usual', 'value', 'video', 'visit', 'vital', 'voice',
+            'waste', 'watch', 'water', 'wheel', 'where', 'white', 'whole', 'woman',
+            'world', 'worry', 'worth', 'write', 'wrong', 'young', 'youth', 'zebra'
+        ],
+        allowed: [
+            'abbey', 'acorn', 'adore', 'aisle', 'amber', 'ankle', 'aroma', 'atoll',
+            'bagel', 'baker', 'basil', 'bloom', 'bluff', 'bonus', 'booth', 'bunny',
+            'cameo', 'canoe', 'cedar', 'cider', 'cinch', 'clasp', 'cocoa', 'comet',
+            'crisp', 'crumb', 'daisy', 'decoy', 'denim', 'ditch', 'dodge', 'dwarf',
+            'eagle', 'easel', 'ebony', 'elbow', 'ember', 'fable', 'feast', 'ferry',
+            'flask', 'flute', 'frost', 'gecko', 'gravy', 'grove', 'habit', 'hazel',
+            'heron', 'hippo', 'igloo', 'irony', 'ivory', 'jazzy', 'jewel', 'jolly',
+            'kayak', 'koala', 'latch', 'llama', 'lodge', 'lotus', 'mango', 'maple',
+            'medic', 'melon', 'mocha', 'moose', 'nacho', 'noble', 'nomad', 'oasis',
+            'otter', 'panda', 'pecan', 'perch', 'plaza', 'plumb', 'pouch', 'quail',
+            'quilt', 'raven', 'rebus', 'relic', 'rhyme', 'roast', 'salsa', 'scarf',
+            'scout', 'shrub', 'siren', 'skunk', 'sloth', 'squid', 'stork', 'swirl',
+            'tango', 'thorn', 'tulip', 'twirl', 'umbra', 'vapor', 'viper', 'vivid',
+            'waltz', 'whale', 'wharf', 'yacht', 'yeast', 'zesty'
+        ]
+    },
+    6: {
+        answers: [
+            'across', 'action', 'active', 'advice', 'afraid', 'agency', 'almost',
+            'amount', 'animal', 'annual', 'answer', 'anyone', 'appeal', 'arrive',
+            'artist', 'attack', 'august', 'author', 'autumn', 'barely', 'battle',
+            'beauty', 'became', 'become', 'before', 'behind', 'belief', 'better',
+            'beyond', 'bottle', 'bottom', 'branch', 'breath', 'bridge', 'bright',
+            'broken', 'budget', 'button', 'camera', 'cancer', 'candle', 'carbon',
+            'career', 'castle', 'center', 'chance', 'change', 'charge', 'choice',
+            'choose', 'church', 'circle', 'client', 'coffee', 'colour', 'corner',
+            'cotton', 'county', 'couple', 'course', 'credit', 'crisis', 'custom',
+            'damage', 'danger', 'debate', 'decade', 'degree', 'demand', 'design',
+            'desire', 'detail', 'dinner', 'direct', 'doctor', 'dollar', 'double',
+            'dragon', 'driver', 'during', 'easily', 'eating', 'editor', 'effect',
+            'effort', 'eleven', 'energy', 'engine', 'enough', 'entire', 'estate',
+            'except', 'expect', 'expert', 'fabric', 'factor', 'family', 'famous',
+            'father', 'figure', 'finger', 'finish', 'flight', 'flower', 'follow',
+            'forest', 'forget', 'formal', 'friend', 'frozen', 'future', 'garden',
+            'gentle', 'global', 'golden', 'ground', 'growth', 'guitar', 'handle',
+            'happen', 'health', 'height', 'hidden', 'honest', 'impact', 'income',
+            'indeed', 'island', 'itself', 'jacket', 'jungle', 'junior', 'kitten',
+            'ladder', 'launch', 'lawyer', 'leader', 'league', 'letter', 'likely',
+            'liquid', 'listen', 'little', 'living', 'lovely', 'manage', 'manner',
+            'market', 'master', 'matter', 'medium', 'member', 'memory', 'middle',
+            'minute', 'mirror', 'mobile', 'modern', 'moment', 'mother', 'motion',
+            'museum', 'native', 'nature', 'nearby', 'nearly', 'needle', 'nobody',
+            'normal', 'notice', 'number', 'object', 'office', 'orange', 'origin',
+            'output', 'palace', 'parent', 'pencil', 'people', 'pepper', 'period',
+            'person', 'planet', 'player', 'pocket', 'poetry', 'police', 'policy',
+            'purple', 'puzzle', 'rabbit', 'reason', 'record', 'reduce', 'region',
+            'remain', 'remote', 'repeat', 'report', 'rescue', 'result', 'return',
+            'review', 'riding', 'rocket', 'safety', 'salmon', 'sample', 'school',
+            'screen', 'season', 'second', 'secret', 'select', 'senior', 'series',
+            'server', 'settle', 'silver', 'simple', 'singer', 'single', 'sister',
+            'smooth', 'source', 'spirit', 'spring', 'square', 'stable', 'statue',
+            'stream', 'street', 'strong', 'studio', 'submit', 'summer', 'supply',
+            'surely', 'switch', 'symbol', 'system', 'tablet', 'talent', 'target',
+            'temple', 'tennis', 'thirty', 'thread', 'ticket', 'timber', 'toward',
+            'travel', 'tunnel', 'twelve', 'unique', 'update', 'valley', 'velvet',
+            'victim', 'vision', 'volume', 'walnut', 'wealth', 'weekly', 'window',
+            'winner', 'winter', 'wisdom', 'wonder', 'wooden', 'worker', 'writer',
+            'yellow'
+        ],
+        allowed: [
+            'almond', 'anchor', 'bakery', 'banana', 'basket', 'beetle', 'butter',
+            'cactus', 'canyon', 'carrot', 'cashew', 'cherry', 'cookie', 'cousin',
+            'donkey', 'falcon', 'ginger', 'hammer', 'insect', 'kettle', 'lizard',
+            'magnet', 'muffin', 'noodle', 'oyster', 'parrot', 'peanut', 'pickle',
+            'pillow', 'quartz', 'saddle', 'tomato', 'turtle', 'walrus'
+        ]
+    },
+    7: {
+        answers: [
+            'ability', 'absence', 'academy', 'account', 'achieve', 'acquire',
+            'address', 'advance', 'airline', 'airport', 'ancient', 'another',
+            'anxiety', 'anybody', 'applied', 'arrange', 'article', 'attempt',
+            'attract', 'average', 'balance', 'barrier', 'battery', 'bedroom',
+            'benefit', 'between', 'billion', 'blanket', 'brother', 'cabinet',
+            'caution', 'ceiling', 'central', 'century', 'certain', 'chapter',
+            'charity', 'chicken', 'chronic', 'circuit', 'citizen', 'classic',
+            'climate', 'clothes', 'collect', 'college', 'combine', 'comfort',
+            'command', 'comment', 'company', 'compare', 'complex', 'concept',
+            'concern', 'conduct', 'confirm', 'connect', 'consist', 'contact',
+            'contain', 'content', 'context', 'control', 'convert', 'correct',
+            'council', 'counter', 'country', 'courage', 'crystal', 'culture',
+            'current', 'dealing', 'decline', 'default', 'defense', 'deliver',
+            'density', 'deposit', 'desktop', 'despite', 'destroy', 'develop',
+            'diamond', 'digital', 'discuss', 'disease', 'dismiss', 'display',
+            'distant', 'drawing', 'eastern', 'economy', 'edition', 'element',
+            'emotion', 'english', 'enhance', 'evening', 'exactly', 'examine',
+            'example', 'excited', 'exhibit', 'expense', 'explain', 'explore',
+            'express', 'extreme', 'factory', 'faculty', 'failure', 'fashion',
+            'feature', 'federal', 'feeling', 'fiction', 'fifteen', 'finance',
+            'finding', 'fishing', 'fitness', 'foreign', 'forever', 'formula',
+            'fortune', 'forward', 'freedom', 'gallery', 'general', 'genuine',
+            'gesture', 'glasses', 'grocery', 'growing', 'habitat', 'harmony',
+            'healthy', 'hearing', 'heavily', 'helpful', 'herself', 'highway',
+            'himself', 'history', 'holiday', 'housing', 'however', 'hundred',
+            'hunting', 'husband', 'illness', 'imagine', 'improve', 'include',
+            'initial', 'injured', 'insight', 'install', 'instead', 'intense',
+            'involve', 'journal', 'journey', 'justice', 'kitchen', 'knowing',
+            'largely', 'leading', 'learned', 'leather', 'lecture', 'liberty',
+            'library', 'license', 'limited', 'machine', 'manager', 'married',
+            'massive', 'maximum', 'meaning', 'measure', 'medical', 'meeting',
+            'mention', 'message', 'million', 'mineral', 'minimum', 'miracle',
+            'mission', 'mistake', 'mixture', 'monitor', 'morning', 'musical',
+            'mystery', 'natural', 'neither', 'network', 'nothing', 'nuclear',
+            'observe', 'obvious', 'offense', 'officer', 'opening', 'operate',
+            'opinion', 'organic', 'outcome', 'outdoor', 'overall', 'package',
+            'painter', 'panther', 'partner', 'passage', 'passion', 'patient',
+            'pattern', 'payment', 'penalty', 'pension', 'percent', 'perfect',
+            'perhaps', 'picture', 'pioneer', 'plastic', 'popular', 'portion',
+            'poverty', 'precise', 'predict', 'premium', 'prepare', 'present',
+            'prevent', 'primary', 'printer', 'privacy', 'private', 'problem',
+            'process', 'produce', 'product', 'program', 'project', 'promise',
+            'protect', 'protein', 'provide', 'publish', 'purpose', 'quality',
+            'quarter', 'radical', 'railway', 'rainbow', 'reading', 'reality',
+            'receive', 'recover', 'reflect', 'regular', 'related', 'release',
+            'remains', 'request', 'require', 'reserve', 'resolve', 'respect',
+            'respond', 'restore', 'revenue', 'rolling', 'romance', 'routine',
+            'running', 'satisfy', 'scholar', 'science', 'section', 'segment',
+            'serious', 'service', 'session', 'setting', 'several', 'shelter',
+            'shortly', 'silence', 'similar', 'society', 'soldier', 'speaker',
+            'special', 'sponsor', 'station', 'stomach', 'storage', 'strange',
+            'stretch', 'student', 'subject', 'succeed', 'success', 'suggest',
+            'summary', 'support', 'surface', 'surgery', 'survive', 'suspect',
+            'sustain', 'teacher', 'tension', 'theatre', 'therapy', 'thought',
+            'through', 'tonight', 'totally', 'tourist', 'traffic', 'trouble',
+            'typical', 'uniform', 'unknown', 'unusual', 'upgrade', 'usually',
+            'variety', 'vehicle', 'venture', 'version', 'veteran', 'victory',
+            'village', 'violent', 'virtual', 'visible', 'vitamin', 'waiting',
+            'walking', 'warning', 'wealthy', 'weather', 'website', 'wedding',
+            'weekend', 'welcome', 'western', 'whether', 'willing', 'without',
+            'witness', 'working', 'writing'
+        ],
+        allowed: [
+            'acrobat', 'avocado', 'biscuit', 'blossom', 'buffalo', 'caramel',
+            'catfish', 'chimney', 'compass', 'cupcake', 'dolphin', 'emerald',
+            'giraffe', 'hamster', 'iceberg', 'jasmine', 'kestrel', 'lantern',
+            'leopard', 'lobster', 'mammoth', 'meerkat', 'octopus', 'ostrich',
+            'pelican', 'penguin', 'piccolo', 'pumpkin', 'sparrow', 'tadpole',
+            'trumpet', 'unicorn', 'vulture'
+        ]
+    },
+    8: {
+        answers: [
+            'absolute', 'abstract', 'academic', 'accepted', 'accident', 'accurate',
+            'activity', 'actually', 'addition', 'adequate', 'advanced', 'affected',
+            'airplane', 'alliance', 'although', 'analysis', 'announce', 'anything',
+            'anywhere', 'apparent', 'approach', 'approval', 'argument', 'artistic',
+            'assembly', 'athletic', 'attitude', 'audience', 'bathroom', 'becoming',
+            'birthday', 'boundary', 'building', 'business', 'calendar', 'campaign',
+            'capacity', 'category', 'champion', 'chemical', 'children', 'circular',
+            'civilian', 'clothing', 'colonial', 'complete', 'computer', 'conflict',
+            'congress', 'consider', 'constant', 'consumer', 'continue', 'contract',
+            'contrast', 'convince', 'corridor', 'coverage', 'creative', 'criminal',
+            'critical', 'cultural', 'customer', 'database', 'daughter', 'december',
+            'decision', 'definite', 'delivery', 'describe', 'designer', 'detailed',
+            'dialogue', 'directly', 'director', 'disaster', 'discount', 'discover',
+            'distance', 'distinct', 'district', 'dividend', 'document', 'domestic',
+            'dominant', 'dramatic', 'dressing', 'duration', 'economic', 'educated',
+            'election', 'electric', 'elegance', 'elephant', 'emphasis', 'employee',
+            'engineer', 'enormous', 'entrance', 'envelope', 'equation', 'estimate',
+            'evaluate', 'evidence', 'exchange', 'exercise', 'existing', 'expected',
+            'explicit', 'exposure', 'external', 'facility', 'familiar', 'favorite',
+            'february', 'feedback', 'festival', 'fighting', 'football', 'frequent',
+            'friendly', 'function', 'generate', 'generous', 'governor', 'graduate',
+            'graphics', 'grateful', 'guidance', 'handling', 'hardware', 'heritage',
+            'highland', 'historic', 'homeless', 'hospital', 'identify', 'identity',
+            'incident', 'increase', 'indicate', 'indirect', 'industry', 'infinite',
+            'informal', 'innocent', 'instance', 'integral', 'interest', 'interior',
+            'internal', 'interval', 'invasion', 'investor', 'judgment', 'keyboard',
+            'kindness', 'landmark', 'language', 'laughter', 'lifetime', 'likewise',
+            'literary', 'location', 'magazine', 'maintain', 'majority', 'marriage',
+            'material', 'maximize', 'mechanic', 'medicine', 'memorial', 'merchant',
+            'midnight', 'military', 'minister', 'minority', 'moderate', 'molecule',
+            'momentum', 'mountain', 'movement', 'multiple', 'national', 'negative',
+            'neighbor', 'notebook', 'numerous', 'observer', 'obstacle', 'occasion',
+            'official', 'operator', 'opponent', 'opposite', 'optimism', 'ordinary',
+            'organism', 'original', 'outbreak', 'overcome', 'painting', 'parallel',
+            'particle', 'password', 'patience', 'peaceful', 'personal', 'persuade',
+            'physical', 'planning', 'platform', 'pleasant', 'politics', 'portrait',
+            'position', 'positive', 'possible', 'powerful', 'practice', 'precious',
+            'pregnant', 'presence', 'preserve', 'pressure', 'previous', 'princess',
+            'priority', 'prisoner', 'probably', 'producer', 'progress', 'property',
+            'proposal', 'prospect', 'protocol', 'province', 'purchase', 'question',
+            'rational', 'reaction', 'received', 'recovery', 'regional', 'register',
+            'relative', 'relevant', 'reliable', 'religion', 'remember', 'renowned',
+            'republic', 'research', 'resident', 'resource', 'response', 'restrict',
+            'revision', 'romantic', 'sandwich', 'schedule', 'scrutiny', 'security',
+            'sentence', 'separate', 'sequence', 'shoulder', 'shopping', 'sidewalk',
+            'sleeping', 'software', 'solution', 'somewhat', 'southern', 'specific',
+            'spectrum', 'standard', 'starting', 'strategy', 'strength', 'striking',
+            'struggle', 'suitable', 'superior', 'surprise', 'survival', 'symbolic',
+            'sympathy', 'teaching', 'teenager', 'tomorrow', 'training', 'transfer',
+            'treasure', 'tropical', 'universe', 'unlikely', 'vacation', 'valuable',
+            'variable', 'velocity', 'vertical', 'violence', 'volcanic', 'whatever',
+            'whenever', 'wherever', 'wildlife', 'wireless', 'workshop', 'yourself'
+        ],
+        allowed: [
+            'aardvark', 'anteater', 'applause', 'blizzard', 'bookworm', 'cardinal',
+            'chestnut', 'chipmunk', 'cinnamon', 'dinosaur', 'dumpling', 'flamingo',
+            'gardenia', 'hedgehog', 'honeybee', 'kangaroo', 'macaroni', 'mandolin',
+            'marigold', 'mosquito', 'mushroom', 'pheasant', 'pinecone', 'platypus',
+            'porpoise', 'reindeer', 'scorpion', 'seahorse', 'squirrel', 'starfish',
+            'stingray', 'sunshine', 'tortoise'
+        ]
+    }
+};
+
+console.log('✅ Local dictionary loaded for word lengths:', Object.keys(LOCAL_DICTIONARY).join(', '));
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LOCAL_DICTIONARY };
+}
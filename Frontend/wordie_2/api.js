@@ -0,0 +1,158 @@
+// all the network stuff for word masters lives here, so scipt.js doesn't have
+// to worry about slow or flaky connections. every request gets:
+//   - a timeout (a request that hangs is cancelled and counts as failed)
+//   - cancellation, pass a signal from an AbortController to give up early
+//   - retries with exponential backoff for timeouts, network errors and 5xx answers
+//
+// point it at a local server with ?api=http://localhost:8787 (see mock-server.js)
+const API_BASE_URL = "https://words.dev-apis.com";
+
+// a request that failed, retryable tells us if trying again could help
+class RequestError extends Error {
+  constructor(message, { status = null, retryable = false } = {}) {
+    super(message);
+    this.name = "RequestError";
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+function isAbortError(error) {
+  return error && error.name === "AbortError";
+}
+
+// resolves after ms, or rejects straight away if the signal is aborted
+function wait(ms, signal) {
+  return new Promise(function (resolve, reject) {
+    if (signal && signal.aborted) {
+      reject(new DOMException("Request cancelled", "AbortError"));
+      return;
+    }
+
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener(
+        "abort",
+        function () {
+          clearTimeout(timer);
+          reject(new DOMException("Request cancelled", "AbortError"));
+        },
+        { once: true }
+      );
+    }
+  });
+}
+
+// one attempt: fetch + json, with its own AbortController for the timeout.
+// aborting the outer signal aborts this request too
+async function fetchJson(url, { timeout, signal, ...options }) {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(function () {
+    timedOut = true;
+    controller.abort();
+  }, timeout);
+  const cancel = function () {
+    controller.abort();
+  };
+  if (signal) signal.addEventListener("abort", cancel, { once: true });
+
+  try {
+    const res = await fetch(url, { ...options, signal: controller.signal });
+    if (!res.ok) {
+      // 4xx means we asked for something wrong, asking again won't fix it
+      throw new RequestError(`${url} answered with ${res.status}`, {
+        status: res.status,
+        retryable: res.status >= 500,
+      });
+    }
+    return await res.json();
+  } catch (error) {
+    if (timedOut) {
+      throw new RequestError(`${url} took longer than ${timeout}ms`, {
+        retryable: true,
+      });
+    }
+    if (isAbortError(error) || error instanceof RequestError) {
+      throw error;
+    }
+    if (error instanceof SyntaxError) {
+      throw new RequestError(`${url} didn't send back json`, {
+        retryable: true,
+      });
+    }
+    // fetch only throws a TypeError when it can't reach the server at all
+    throw new RequestError(`couldn't reach ${url}`, { retryable: true });
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener("abort", cancel);
+  }
+}
+
+// retries 'retries' more times after the first attempt, waiting
+// backoff, 2 * backoff, 4 * backoff... in between
+async function requestJson(url, options, { timeout, retries, backoff }) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fetchJson(url, { ...options, timeout });
+    } catch (error) {
+      const giveUp =
+        isAbortError(error) || !error.retryable || attempt >= retries;
+      if (giveUp) {
+        throw error;
+      }
+
+      await wait(backoff * 2 ** attempt, options.signal);
+    }
+  }
+}
+
+function createWordApi({
+  baseUrl = API_BASE_URL,
+  timeout = 5000,
+  retries = 2,
+  backoff = 500,
+} = {}) {
+  const settings = { timeout, retries, backoff };
+
+  return {
+    // random gets any word instead of today's one, for playing again
+    async getWordOfTheDay({ random = false, signal } = {}) {
+      const { word } = await requestJson(
+        `${baseUrl}/word-of-the-day${random ? "?random=1" : ""}`,
+        { signal },
+        settings
+      );
+      if (typeof word !== "string") {
+        throw new RequestError("the word of the day is missing");
+      }
+      return word.toUpperCase();
+    },
+
+    async validateWord(word, { signal } = {}) {
+      const { validWord } = await requestJson(
+        `${baseUrl}/validate-word`,
+        { method: "POST", body: JSON.stringify({ word }), signal },
+        settings
+      );
+      return validWord === true;
+    },
+  };
+}
+
+// the bundled wordie word lists (../wordie/languages.js), used to check guesses
+// when the validate-word api can't be reached, and for every language but english.
+// word is what the game compares, e.g. "GRÖßE" (see toGameWord)
+function isLocalWord(word, language = DEFAULT_LANGUAGE) {
+  const { answers, allowed } = getLanguage(language).dictionary[word.length] || {
+    answers: [],
+    allowed: [],
+  };
+  return answers.concat(allowed).some(function (listWord) {
+    return toGameWord(listWord, language) === word;
+  });
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { RequestError, createWordApi, isLocalWord };
+}
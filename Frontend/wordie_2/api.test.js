@@ -0,0 +1,101 @@
+// run with: node --test Frontend/
+// fetch is swapped for a stub, so nothing here touches the network
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { RequestError, createWordApi } = require("./api.js");
+
+const realFetch = global.fetch;
+
+// answers each call with the next of 'replies': a status code, an object
+// to send back as json, or "hang" for a request that never answers
+function stubFetch(replies) {
+  const calls = [];
+  global.fetch = function (url, options) {
+    calls.push({ url, options, at: Date.now() });
+    const reply = replies[Math.min(calls.length - 1, replies.length - 1)];
+
+    if (reply === "hang") {
+      return new Promise(function (resolve, reject) {
+        options.signal.addEventListener("abort", function () {
+          reject(new DOMException("The operation was aborted", "AbortError"));
+        });
+      });
+    }
+    const status = typeof reply === "number" ? reply : 200;
+    return Promise.resolve({
+      ok: status < 400,
+      status,
+      json: async function () {
+        return reply;
+      },
+    });
+  };
+  return calls;
+}
+
+test.afterEach(function () {
+  global.fetch = realFetch;
+});
+
+test("a request that hangs times out, is retried, then fails", async function () {
+  const calls = stubFetch(["hang"]);
+  const api = createWordApi({ timeout: 20, retries: 1, backoff: 5 });
+
+  await assert.rejects(api.getWordOfTheDay(), function (error) {
+    assert.ok(error instanceof RequestError);
+    assert.match(error.message, /took longer than 20ms/);
+    return true;
+  });
+  assert.equal(calls.length, 2);
+});
+
+test("5xx answers are retried with a growing backoff", async function () {
+  const calls = stubFetch([500, 503, { word: "crane" }]);
+  const api = createWordApi({ timeout: 1000, retries: 2, backoff: 30 });
+
+  assert.equal(await api.getWordOfTheDay(), "CRANE");
+  assert.equal(calls.length, 3);
+  // waits backoff, then 2 * backoff (timers can fire a little early)
+  assert.ok(calls[1].at - calls[0].at >= 25);
+  assert.ok(calls[2].at - calls[1].at >= 55);
+});
+
+test("4xx answers aren't retried", async function () {
+  const calls = stubFetch([404]);
+  const api = createWordApi({ timeout: 1000, retries: 2, backoff: 5 });
+
+  await assert.rejects(api.getWordOfTheDay(), { status: 404, retryable: false });
+  assert.equal(calls.length, 1);
+});
+
+test("giving up after the last retry throws the last error", async function () {
+  const calls = stubFetch([500]);
+  const api = createWordApi({ timeout: 1000, retries: 2, backoff: 5 });
+
+  await assert.rejects(api.getWordOfTheDay(), { status: 500, retryable: true });
+  assert.equal(calls.length, 3);
+});
+
+test("aborting the signal cancels the wait before a retry", async function () {
+  const calls = stubFetch([500, { word: "crane" }]);
+  const api = createWordApi({ timeout: 1000, retries: 2, backoff: 1000 });
+  const controller = new AbortController();
+
+  const request = api.getWordOfTheDay({ signal: controller.signal });
+  setTimeout(function () {
+    controller.abort();
+  }, 20);
+
+  await assert.rejects(request, { name: "AbortError" });
+  assert.equal(calls.length, 1);
+});
+
+test("validateWord posts the word and reads validWord", async function () {
+  const calls = stubFetch([{ validWord: true }]);
+  const api = createWordApi({ baseUrl: "http://localhost:8787" });
+
+  assert.equal(await api.validateWord("crane"), true);
+  assert.equal(calls[0].url, "http://localhost:8787/validate-word");
+  assert.equal(calls[0].options.method, "POST");
+  assert.deepEqual(JSON.parse(calls[0].options.body), { word: "crane" });
+});
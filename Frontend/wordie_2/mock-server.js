@@ -0,0 +1,78 @@
+// a tiny stand-in for words.dev-apis.com, to try the network handling in
+// api.js without depending on the real api. node only, no packages needed:
+//
+//   node mock-server.js --port 8787 --delay 3000 --fail 0.5 --word crane
+//
+// then open index.html?api=http://localhost:8787
+//   --delay  wait this many ms before answering (try more than the 5s timeout)
+//   --fail   share of requests that answer with a 500, between 0 and 1
+//   --word   the word of the day
+const http = require("http");
+
+function readOption(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? fallback : process.argv[index + 1];
+}
+
+const port = Number(readOption("port", 8787));
+const delay = Number(readOption("delay", 0));
+const failRate = Number(readOption("fail", 0));
+const wordOfTheDay = readOption("word", "crane").toLowerCase();
+
+// any 5 letter word is valid except ones with a q, so both answers can be tried
+function isValidWord(word) {
+  return /^[a-z]{5}$/i.test(word) && !/q/i.test(word);
+}
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type",
+  });
+  res.end(JSON.stringify(body));
+}
+
+const server = http.createServer(function (req, res) {
+  let body = "";
+  req.on("data", function (chunk) {
+    body += chunk;
+  });
+
+  req.on("end", function () {
+    setTimeout(function () {
+      if (req.method === "OPTIONS") {
+        send(res, 204, {});
+        return;
+      }
+
+      if (Math.random() < failRate) {
+        console.log(`${req.method} ${req.url} -> 500`);
+        send(res, 500, { error: "mock failure" });
+        return;
+      }
+
+      if (req.method === "GET" && req.url.startsWith("/word-of-the-day")) {
+        console.log(`${req.method} ${req.url} -> ${wordOfTheDay}`);
+        send(res, 200, { word: wordOfTheDay, puzzleNumber: 1 });
+      } else if (req.method === "POST" && req.url === "/validate-word") {
+        let word = "";
+        try {
+          word = JSON.parse(body).word || "";
+        } catch (error) {
+          send(res, 400, { error: "body should be json" });
+          return;
+        }
+        console.log(`${req.method} ${req.url} ${word} -> ${isValidWord(word)}`);
+        send(res, 200, { word, validWord: isValidWord(word) });
+      } else {
+        send(res, 404, { error: "not found" });
+      }
+    }, delay);
+  });
+});
+
+server.listen(port, function () {
+  console.log(`mock word api on http://localhost:${port}`);
+  console.log(`delay ${delay}ms, fail rate ${failRate}, word "${wordOfTheDay}"`);
+});
@@ -2,6 +2,94 @@ const ANSWER_LENGTH = 5;
 const ROUNDS = 6;
 const letters = document.querySelectorAll(".scoreboard-letter");
 const loadingDiv = document.querySelector(".info-bar");
+const errorBar = document.querySelector(".error-bar");
+const errorMessage = document.querySelector(".error-message");
+const retryButton = document.querySelector(".retry-button");
+const toastContainer = document.querySelector(".toast-container");
+const resultsPanel = document.querySelector(".results-panel");
+const resultsTitle = document.querySelector(".results-title");
+const resultsAnswer = document.querySelector(".results-answer");
+const resultsGuesses = document.querySelector(".results-guesses");
+const playAgainButton = document.querySelector(".play-again-button");
+const brand = document.querySelector(".brand");
+const languageSelect = document.querySelector(".language-select");
+
+// ?lang=de plays in another language (see ../wordie/languages.js). the api only
+// has english words, so other languages use the bundled word lists and don't
+// need the network at all
+const requestedLanguage = new URLSearchParams(window.location.search).get("lang");
+const language = Object.keys(LANGUAGES).includes(requestedLanguage)
+  ? requestedLanguage
+  : DEFAULT_LANGUAGE;
+
+// the text on the page, {name} bits get filled in by text(). anything a
+// language doesn't have shows in english
+const TEXT = {
+  en: {
+    tooShort: "Too short",
+    notInWordList: "Not in word list",
+    youWin: "you win!",
+    youLose: "you lose",
+    theWordWas: "the word was {word}",
+    solvedIn: "solved in {count} of {total} guesses",
+    noLuck: "no luck in {total} guesses",
+    playAgain: "play again",
+    tryAgain: "try again",
+    loadFailed: "couldn't load today's word, check your connection",
+    offline: "can't reach the word checker, using the offline word list",
+  },
+  es: {
+    tooShort: "Muy corta",
+    notInWordList: "No está en la lista",
+    youWin: "¡ganaste!",
+    youLose: "perdiste",
+    theWordWas: "la palabra era {word}",
+    solvedIn: "resuelta en {count} de {total} intentos",
+    noLuck: "sin suerte en {total} intentos",
+    playAgain: "jugar otra vez",
+  },
+  de: {
+    tooShort: "Zu kurz",
+    notInWordList: "Nicht in der Wortliste",
+    youWin: "gewonnen!",
+    youLose: "verloren",
+    theWordWas: "das Wort war {word}",
+    solvedIn: "gelöst in {count} von {total} Versuchen",
+    noLuck: "kein Glück in {total} Versuchen",
+    playAgain: "nochmal spielen",
+  },
+  sw: {
+    tooShort: "Fupi mno",
+    notInWordList: "Halimo kwenye orodha",
+    youWin: "umeshinda!",
+    youLose: "umeshindwa",
+    theWordWas: "neno lilikuwa {word}",
+    solvedIn: "umetatua kwa majaribio {count} kati ya {total}",
+    noLuck: "hukufanikiwa kwa majaribio {total}",
+    playAgain: "cheza tena",
+  },
+};
+
+// ?api=http://localhost:8787 talks to mock-server.js instead of the real api
+const api = createWordApi({
+  baseUrl: new URLSearchParams(window.location.search).get("api") || undefined,
+});
+
+// set once validate-word has failed all its retries, from then on guesses are
+// checked against the local list straight away instead of waiting ~15s for
+// the api each time. a word of the day that loads means it's back
+let apiOffline = false;
+
+// lets us cancel whatever request is running, e.g. when leaving the page
+let pendingRequest = null;
+
+// the engine scores guesses as correct / present / absent, these are the
+// classes we paint for each of those
+const TILE_CLASSES = {
+  correct: "correct",
+  present: "close",
+  absent: "wrong",
+};
 
 // I like to do an async init function so I can use "await"
 async function init() {
@@ -10,21 +98,62 @@ async function init() {
   let currentGuess = "";
   let done = false;
   let isLoading = true;
+  let game = null;
+
+  // sets everything back to the start and loads a word. the first game is
+  // the word of the day, "play again" gets a random word
+  async function startGame({ random = false } = {}) {
+    currentRow = 0;
+    currentGuess = "";
+    done = true; // no typing until the word is here
+    isLoading = true;
+    setLoading(isLoading);
+    hideResults();
+    clearBoard();
+
+    const word = await loadWordOfTheDay({ random });
+    isLoading = false;
+    setLoading(isLoading);
+
+    // the shared engine (../shared/word-game-engine.js) knows the rules, this
+    // file only has to draw what it tells us
+    game = WordGameEngine.createWordGame({
+      secretWord: word,
+      maxGuesses: ROUNDS,
+      locale: getLanguage(language).locale,
+    });
+
+    game.on("guess", function ({ guess, row }) {
+      guess.result.forEach(function (state, i) {
+        letters[row * ANSWER_LENGTH + i].classList.add(TILE_CLASSES[state]);
+      });
+    });
 
-  // nab the word of the day
-  const res = await fetch("https://words.dev-apis.com/word-of-the-day");
-  const { word: wordRes } = await res.json();
-  const word = wordRes.toUpperCase();
-  const wordParts = word.split("");
-  isLoading = false;
-  setLoading(isLoading);
+    game.on("win", function ({ state }) {
+      brand.classList.add("winner");
+      done = true;
+      showResults({ won: true, word, guessCount: state.guesses.length });
+    });
+
+    game.on("lose", function ({ state }) {
+      done = true;
+      showResults({ won: false, word, guessCount: state.guesses.length });
+    });
+
+    done = false;
+  }
+
+  playAgainButton.addEventListener("click", function () {
+    startGame({ random: true });
+  });
 
   // user adds a letter to the current guess
   function addLetter(letter) {
     if (currentGuess.length < ANSWER_LENGTH) {
       currentGuess += letter;
     } else {
-      current = currentGuess.substring(0, currentGuess.length - 1) + letter;
+      currentGuess =
+        currentGuess.substring(0, currentGuess.length - 1) + letter;
     }
 
     letters[currentRow * ANSWER_LENGTH + currentGuess.length - 1].innerText =
@@ -34,71 +163,58 @@ async function init() {
   // user tries to enter a guess
   async function commit() {
     if (currentGuess.length !== ANSWER_LENGTH) {
-      // do nothing
+      showToast(text("tooShort"));
       return;
     }
 
-    // check the API to see if it's a valid word
-    // skip this step if you're not checking for valid words
-    isLoading = true;
-    setLoading(isLoading);
-    const res = await fetch("https://words.dev-apis.com/validate-word", {
-      method: "POST",
-      body: JSON.stringify({ word: currentGuess }),
-    });
-    const { validWord } = await res.json();
-    isLoading = false;
-    setLoading(isLoading);
+    const validWord = await checkWord(currentGuess);
+    if (validWord === null) return;
 
     // not valid, mark the word as invalid and return
     if (!validWord) {
       markInvalidWord();
+      showToast(text("notInWordList"));
       return;
     }
 
-    const guessParts = currentGuess.split("");
-    const map = makeMap(wordParts);
-    let allRight = true;
+    // the engine scores the guess and fires the events above
+    game.submitGuess(currentGuess);
+    currentRow = game.getState().currentRow;
+    currentGuess = "";
+  }
 
-    // first pass just finds correct letters so we can mark those as
-    // correct first
-    for (let i = 0; i < ANSWER_LENGTH; i++) {
-      if (guessParts[i] === wordParts[i]) {
-        // mark as correct
-        letters[currentRow * ANSWER_LENGTH + i].classList.add("correct");
-        map[guessParts[i]]--;
-      }
+  // check the API to see if it's a valid word
+  // skip this step if you're not checking for valid words
+  // resolves to null if the request was cancelled
+  async function checkWord(word) {
+    // no api for other languages, their word list is all we have
+    if (language !== DEFAULT_LANGUAGE) {
+      return isLocalWord(word, language);
     }
-
-    // second pass finds close and wrong letters
-    // we use the map to make sure we mark the correct amount of
-    // close letters
-    for (let i = 0; i < ANSWER_LENGTH; i++) {
-      if (guessParts[i] === wordParts[i]) {
-        // do nothing
-      } else if (map[guessParts[i]] && map[guessParts[i]] > 0) {
-        // mark as close
-        allRight = false;
-        letters[currentRow * ANSWER_LENGTH + i].classList.add("close");
-        map[guessParts[i]]--;
-      } else {
-        // wrong
-        allRight = false;
-        letters[currentRow * ANSWER_LENGTH + i].classList.add("wrong");
-      }
+    if (apiOffline) {
+      return isLocalWord(word);
     }
 
-    currentRow++;
-    currentGuess = "";
-    if (allRight) {
-      // win
-      alert("you win");
-      document.querySelector(".brand").classList.add("winner");
-      done = true;
-    } else if (currentRow === ROUNDS) {
-      // lose
-      alert(`you lose, the word was ${word}`);
-      done = true;
+    isLoading = true;
+    setLoading(isLoading);
+    try {
+      const validWord = await runRequest(function (signal) {
+        return api.validateWord(word, { signal });
+      });
+      hideError();
+      return validWord;
+    } catch (error) {
+      if (isAbortError(error)) return null;
+
+      // can't reach the api, so check our own word list instead (this one
+      // and every guess after it)
+      console.warn("couldn't validate the word, using the local list", error);
+      apiOffline = true;
+      showError(text("offline"));
+      return isLocalWord(word);
+    } finally {
+      isLoading = false;
+      setLoading(isLoading);
     }
   }
 
@@ -138,18 +254,149 @@ async function init() {
     } else if (action === "Backspace") {
       backspace();
     } else if (isLetter(action)) {
-      addLetter(action.toUpperCase());
+      addLetter(toGameWord(action, language));
     } else {
       // do nothing
     }
   });
+
+  languageSelect.addEventListener("change", function () {
+    // a new language is a new game, easiest is to load the page again
+    const url = new URL(window.location.href);
+    url.searchParams.set("lang", languageSelect.value);
+    window.location.href = url.toString();
+  });
+
+  await startGame();
+}
+
+// fill in the text that's written in index.html and the language picker
+function showPageText() {
+  document.documentElement.lang = getLanguage(language).locale;
+  retryButton.innerText = text("tryAgain");
+  playAgainButton.innerText = text("playAgain");
+
+  Object.keys(LANGUAGES).forEach(function (code) {
+    languageSelect.add(new Option(LANGUAGES[code].name, code));
+  });
+  languageSelect.value = language;
+}
+
+function text(key, params = {}) {
+  const strings = TEXT[language][key] ? TEXT[language] : TEXT.en;
+  return strings[key].replace(/\{(\w+)\}/g, function (match, name) {
+    return params[name];
+  });
+}
+
+// runs one request at a time, handing it a signal so it can be cancelled
+async function runRequest(request) {
+  pendingRequest = new AbortController();
+  try {
+    return await request(pendingRequest.signal);
+  } finally {
+    pendingRequest = null;
+  }
 }
 
-// a little function to check to see if a character is alphabet letter
-// this uses regex (the /[a-zA-Z]/ part) but don't worry about it
-// you can learn that later and don't need it too frequently
+// keeps asking until we get a word. when the api gives up (after its own
+// retries) we show the error and wait for the player to hit "try again"
+async function loadWordOfTheDay({ random = false } = {}) {
+  if (language !== DEFAULT_LANGUAGE) {
+    return getLocalWord({ random });
+  }
+
+  for (;;) {
+    try {
+      const word = await runRequest(function (signal) {
+        return api.getWordOfTheDay({ random, signal });
+      });
+      apiOffline = false;
+      hideError();
+      return word;
+    } catch (error) {
+      console.error("couldn't load the word of the day", error);
+      setLoading(false);
+      await waitForRetry(text("loadFailed"));
+      setLoading(true);
+    }
+  }
+}
+
+// other languages pick their word from the bundled list. without random it's
+// the word of the day, the same for everyone until midnight (utc)
+function getLocalWord({ random = false } = {}) {
+  const { answers } = getLanguage(language).dictionary[ANSWER_LENGTH];
+  const day = Math.floor(Date.now() / (24 * 60 * 60 * 1000));
+  const index = random
+    ? Math.floor(Math.random() * answers.length)
+    : day % answers.length;
+  return toGameWord(answers[index], language);
+}
+
+// show the error bar, with a "try again" button if onRetry is given
+function showError(message, onRetry) {
+  errorMessage.innerText = message;
+  retryButton.hidden = !onRetry;
+  retryButton.onclick = onRetry || null;
+  errorBar.hidden = false;
+}
+
+function hideError() {
+  errorBar.hidden = true;
+}
+
+// resolves when the player clicks "try again"
+function waitForRetry(message) {
+  return new Promise(function (resolve) {
+    showError(message, function () {
+      hideError();
+      resolve();
+    });
+  });
+}
+
+// empty every tile and take the colours off
+function clearBoard() {
+  letters.forEach(function (letter) {
+    letter.innerText = "";
+    letter.className = "scoreboard-letter";
+  });
+  brand.classList.remove("winner");
+}
+
+// little message that goes away by itself, doesn't block the game like alert()
+function showToast(message, duration = 2000) {
+  const toast = document.createElement("div");
+  toast.className = "toast";
+  toast.innerText = message;
+  toastContainer.prepend(toast);
+
+  setTimeout(function () {
+    toast.remove();
+  }, duration);
+}
+
+function showResults({ won, word, guessCount }) {
+  resultsTitle.innerText = won ? text("youWin") : text("youLose");
+  resultsAnswer.innerText = text("theWordWas", { word });
+  resultsGuesses.innerText = won
+    ? text("solvedIn", { count: guessCount, total: ROUNDS })
+    : text("noLuck", { total: ROUNDS });
+  resultsPanel.hidden = false;
+  playAgainButton.focus();
+}
+
+function hideResults() {
+  resultsPanel.hidden = true;
+}
+
+// a little function to check to see if a key is one letter of the alphabet
+// of our language, so ñ works in spanish and ß in german. keys like "Enter"
+// or "Shift" are longer than one letter so they never count
 function isLetter(letter) {
-  return /^[a-zA-Z]$/.test(letter);
+  const gameLetter = toGameWord(letter, language);
+  return gameLetter.length === 1 && isAlphabetWord(gameLetter, language);
 }
 
 // show the loading spinner when needed
@@ -157,20 +404,10 @@ function setLoading(isLoading) {
   loadingDiv.classList.toggle("hidden", !isLoading);
 }
 
-// takes an array of letters (like ['E', 'L', 'I', 'T', 'E']) and creates
-// an object out of it (like {E: 2, L: 1, T: 1}) so we can use that to
-// make sure we get the correct amount of letters marked close instead
-// of just wrong or correct
-function makeMap(array) {
-  const obj = {};
-  for (let i = 0; i < array.length; i++) {
-    if (obj[array[i]]) {
-      obj[array[i]]++;
-    } else {
-      obj[array[i]] = 1;
-    }
-  }
-  return obj;
-}
+// don't leave requests hanging around when the page goes away
+window.addEventListener("pagehide", function () {
+  if (pendingRequest) pendingRequest.abort();
+});
 
+showPageText();
 init();
\ No newline at end of file